@@ -0,0 +1,411 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const {
+  activeSessions,
+  createSession,
+  crawlWebsite,
+  recordSinglePageVideo,
+  screenshotsDir,
+  summarizeAccessibility,
+  videosDir,
+} = require("./server");
+
+const USAGE = `Usage:
+  screencrawl crawl <url> [options]
+  screencrawl video <url> [options]
+
+Crawl options:
+  --max-pages <n>            Maximum number of pages to crawl (default 50)
+  --concurrency <n>          Pages captured at the same time (default 1)
+  --scroll-delay <ms>        Delay between scroll steps (default 100)
+  --smart-dedup              Skip URLs with similar patterns
+  --sitemap                  Seed the queue from sitemap.xml
+  --sitemap-url <url>        Override the sitemap location
+  --respect-robots           Honour robots.txt Disallow/Crawl-delay
+  --robots-user-agent <ua>   Agent matched against robots.txt
+  --include <pattern>        Only crawl matching paths (repeatable)
+  --exclude <pattern>        Never crawl matching paths (repeatable)
+  --max-depth <n>            Link hops from the start URL
+  --path-budget <prefix=n>   Max pages under a path prefix (repeatable)
+  --screenshot-format <f>    png, jpeg or webp (default png)
+  --screenshot-quality <n>   1-100 for jpeg and webp (default 80)
+  --thumbnail-width <px>     Width of the preview thumbnails (default 400)
+  --no-thumbnails            Don't save preview thumbnails
+  --pdf                      Also save every page as a PDF
+  --dismiss-consent <action> Click accept or reject on consent banners
+  --hide <selector>          Hide matching elements (repeatable)
+  --remove <selector>        Remove matching elements (repeatable)
+  --inject-css <file>        CSS file added to every page before capture
+  --inject-script <file>     JavaScript file run in every page before capture
+  --element <name=selector>  Also capture matching elements (repeatable)
+  --element-limit <n>        Most matches captured per selector (default 10)
+  --accessibility            Run an axe-core accessibility audit on every page
+  --record-videos            Also record a scroll video of every page
+  --site-tour                Join the page videos into one site tour video
+
+Video options (also used by --record-videos):
+  --scroll-speed <px>        Pixels per frame (default 50)
+  --frame-rate <fps>         Video frame rate (default 30)
+  --pause-at-top <ms>        Pause before scrolling (default 1000)
+  --pause-at-bottom <ms>     Pause after scrolling (default 1000)
+  --easing <curve>           linear or ease-in-out (default linear)
+  --section-stops            Pause at every section, h1 and h2
+  --pause-at-sections <ms>   Pause at each section stop (default 1000)
+  --video-format <format>    webm, mp4, gif or webp (default webm)
+  --crf <n>                  Constant quality, lower is better (webm/mp4)
+  --video-bitrate <rate>     Target bitrate such as 2M, when no --crf
+  --video-scale <factor>     Output size, e.g. 0.5 for half (default 1)
+  --max-duration <s>         Stop recording after this many seconds
+  --record-for <s>           Record in real time instead of scrolling
+  --dwell <y=ms>             Record in real time at a scroll position
+                             (repeatable, replaces --record-for)
+  --intro-card               Start with the page title, URL and date
+  --caption-bar              Show the page title and URL along the bottom
+  --watermark <text>         Text watermark
+  --watermark-image <url>    Image watermark (URL or data: URI)
+  --watermark-position <pos> top-left, top-right, bottom-left or
+                             bottom-right (default bottom-right)
+  --watermark-opacity <n>    From 0 to 1 (default 0.6)
+
+Shared options:
+  --viewport <WxH[@scale]>   Viewport, e.g. 1920x1080 or 375x812@2
+                             (repeatable for crawls)
+  --page-timeout <ms>        Maximum time to wait for page load
+  --wait-after-load <ms>     Extra wait for dynamic content
+  --http-auth <user:pass>    HTTP basic auth credentials
+  --cookies <file>           JSON or Netscape cookie file to import
+  --config <file>            JSON file with any start-crawl/start-video
+                             options (e.g. login); flags take precedence
+  -h, --help                 Show this help`;
+
+// Parse "1920x1080" or "375x812@2" into a viewport object
+function parseViewport(value) {
+  const match = value.match(/^(\d+)(?:x(\d+))?(?:@([\d.]+))?$/);
+  if (!match) {
+    throw new Error(`Invalid viewport "${value}", expected WxH or WxH@scale`);
+  }
+  return {
+    width: parseInt(match[1]),
+    height: parseInt(match[2]) || 1080,
+    deviceScaleFactor: parseFloat(match[3]) || 1,
+  };
+}
+
+// Convert a numeric flag, rejecting anything that isn't a number
+function toNumber(name, value) {
+  const number = Number(value);
+  if (value === "" || isNaN(number)) {
+    throw new Error(`--${name} expects a number, got "${value}"`);
+  }
+  return number;
+}
+
+// Build the same options object the start-crawl/start-video events receive
+function buildOptions(values) {
+  const options = values.config
+    ? JSON.parse(fs.readFileSync(values.config, "utf8"))
+    : {};
+
+  const numericFlags = {
+    "max-pages": "maxPages",
+    concurrency: "concurrency",
+    "scroll-delay": "scrollDelay",
+    "max-depth": "maxDepth",
+    "screenshot-quality": "screenshotQuality",
+    "thumbnail-width": "thumbnailWidth",
+    "element-limit": "elementLimit",
+    "scroll-speed": "scrollSpeed",
+    "frame-rate": "frameRate",
+    "pause-at-top": "pauseAtTop",
+    "pause-at-bottom": "pauseAtBottom",
+    "pause-at-sections": "pauseAtSections",
+    "watermark-opacity": "watermarkOpacity",
+    crf: "videoCrf",
+    "video-scale": "videoScale",
+    "max-duration": "maxDuration",
+    "page-timeout": "pageTimeout",
+    "wait-after-load": "waitAfterLoad",
+  };
+  for (const [flag, option] of Object.entries(numericFlags)) {
+    if (values[flag] !== undefined) {
+      options[option] = toNumber(flag, values[flag]);
+    }
+  }
+
+  if (values["smart-dedup"]) options.smartDedup = true;
+  if (values.sitemap) options.useSitemap = true;
+  if (values["sitemap-url"]) options.sitemapUrl = values["sitemap-url"];
+  if (values["respect-robots"]) options.respectRobots = true;
+  if (values["screenshot-format"]) {
+    options.screenshotFormat = values["screenshot-format"];
+  }
+  if (values["no-thumbnails"]) options.thumbnails = false;
+  if (values.pdf) options.savePdf = true;
+  if (values.accessibility) options.accessibilityAudit = true;
+  if (values["dismiss-consent"]) {
+    options.dismissConsent = values["dismiss-consent"];
+  }
+  if (values.hide) options.hideSelectors = values.hide;
+  if (values.remove) options.removeSelectors = values.remove;
+  if (values["record-videos"]) options.recordVideos = true;
+  if (values.easing) options.scrollEasing = values.easing;
+  if (values["section-stops"]) options.sectionStops = true;
+  if (values["intro-card"]) options.introCard = true;
+  if (values["caption-bar"]) options.captionBar = true;
+  if (values.watermark) options.watermarkText = values.watermark;
+  if (values["watermark-image"]) {
+    options.watermarkImage = values["watermark-image"];
+  }
+  if (values["watermark-position"]) {
+    options.watermarkPosition = values["watermark-position"];
+  }
+  if (values["video-format"]) options.videoFormat = values["video-format"];
+  if (values["video-bitrate"]) options.videoBitrate = values["video-bitrate"];
+  if (values["site-tour"]) {
+    options.recordVideos = true;
+    options.siteTour = true;
+  }
+  if (values["robots-user-agent"]) {
+    options.robotsUserAgent = values["robots-user-agent"];
+  }
+  if (values.include) options.includePatterns = values.include;
+  if (values.exclude) options.excludePatterns = values.exclude;
+
+  // "header=header", or a bare selector named after itself
+  if (values.element) {
+    options.elementSelectors = { ...options.elementSelectors };
+    for (const element of values.element) {
+      const [, name, selector] = element.match(/^([\w-]+)=(.+)$/) || [];
+      options.elementSelectors[name || element] = selector || element;
+    }
+  }
+
+  if (values["path-budget"]) {
+    options.pathBudgets = { ...options.pathBudgets };
+    for (const budget of values["path-budget"]) {
+      const [prefix, limit] = budget.split("=");
+      options.pathBudgets[prefix] = toNumber("path-budget", limit);
+    }
+  }
+
+  if (values["record-for"]) {
+    options.recordMode = "timed";
+    options.recordDuration = toNumber("record-for", values["record-for"]);
+  }
+  if (values.dwell) {
+    options.recordMode = "timed";
+    options.scrollPositions = values.dwell.map((position) => {
+      const [y, dwell] = position.split("=");
+      return { y: toNumber("dwell", y), dwell: toNumber("dwell", dwell) };
+    });
+  }
+
+  if (values.viewport) {
+    const viewports = values.viewport.map(parseViewport);
+    options.viewport = viewports[0];
+    options.viewports = viewports;
+  }
+
+  if (values["http-auth"]) {
+    const separator = values["http-auth"].indexOf(":");
+    options.httpAuth =
+      separator === -1
+        ? { username: values["http-auth"], password: "" }
+        : {
+            username: values["http-auth"].slice(0, separator),
+            password: values["http-auth"].slice(separator + 1),
+          };
+  }
+  if (values.cookies) {
+    options.cookies = fs.readFileSync(values.cookies, "utf8");
+  }
+  if (values["inject-css"]) {
+    options.injectCss = fs.readFileSync(values["inject-css"], "utf8");
+  }
+  if (values["inject-script"]) {
+    options.injectScript = fs.readFileSync(values["inject-script"], "utf8");
+  }
+
+  return options;
+}
+
+// Stand-in for a Socket.io socket that prints events to stdout
+function createReporter() {
+  const icons = { info: "●", success: "✓", warning: "⚠", error: "✕" };
+  const reporter = {
+    events: {},
+    emit(event, data) {
+      reporter.events[event] = data;
+
+      if (event === "status") {
+        console.log(`${icons[data.type] || "●"} ${data.message}`);
+      } else if (event === "progress") {
+        console.log(`[${data.current}/${data.total}] ${data.url}`);
+      } else if (event === "video-progress") {
+        const verb = data.stage === "encoding" ? "encoded" : "captured";
+        console.log(`  ${data.progress}% ${verb} (${data.frames} frames)`);
+      }
+    },
+  };
+  return reporter;
+}
+
+async function runCrawl(url, options) {
+  const session = createSession(url, options);
+  const reporter = createReporter();
+  console.log(`Session: ${session.id}`);
+
+  // First Ctrl+C finishes the current pages and still writes summary.json
+  process.once("SIGINT", () => {
+    const active = activeSessions.get(session.id);
+    if (active) active.cancelled = true;
+    console.log("⚠ Cancelling crawl...");
+  });
+
+  await crawlWebsite(session.id, url, options, reporter);
+
+  const { results = [] } = reporter.events.complete || {};
+  const failed = results.filter((result) => result.error);
+  console.log(
+    `\n${results.length - failed.length} pages captured, ${
+      failed.length
+    } failed`
+  );
+  if (options.accessibilityAudit) {
+    const audit = summarizeAccessibility(results);
+    console.log(
+      `Accessibility: ${audit.violatedRules} rules violated on ${audit.pagesWithViolations} of ${audit.pagesAudited} pages`
+    );
+  }
+  const tour = reporter.events["site-tour"];
+  if (tour) console.log(`Site tour: ${path.join(__dirname, tour.video)}`);
+  console.log(
+    `Summary: ${path.join(screenshotsDir, session.id, "summary.json")}`
+  );
+
+  return crawlSucceeded(reporter.events.complete);
+}
+
+// Cancelled and failed crawls still emit complete with the pages they got,
+// so only a completed crawl with every page captured counts as success
+function crawlSucceeded(complete) {
+  if (!complete || complete.status !== "completed") return false;
+  const { results = [] } = complete;
+  return results.length > 0 && results.every((result) => !result.error);
+}
+
+async function runVideo(url, options) {
+  const session = createSession(url, options, "video");
+  const reporter = createReporter();
+  console.log(`Session: ${session.id}`);
+
+  await recordSinglePageVideo(session.id, url, options, reporter);
+
+  const result = reporter.events["video-complete"];
+  if (!result) return false;
+
+  console.log(`\nVideo: ${path.join(__dirname, result.video)}`);
+  console.log(`Format: ${result.format} (${result.codec}), ${result.fileSize}`);
+  console.log(`Summary: ${path.join(videosDir, session.id, "summary.json")}`);
+  return true;
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      "max-pages": { type: "string" },
+      concurrency: { type: "string" },
+      "scroll-delay": { type: "string" },
+      "smart-dedup": { type: "boolean" },
+      sitemap: { type: "boolean" },
+      "sitemap-url": { type: "string" },
+      "respect-robots": { type: "boolean" },
+      "robots-user-agent": { type: "string" },
+      include: { type: "string", multiple: true },
+      exclude: { type: "string", multiple: true },
+      "max-depth": { type: "string" },
+      "path-budget": { type: "string", multiple: true },
+      "screenshot-format": { type: "string" },
+      "screenshot-quality": { type: "string" },
+      "thumbnail-width": { type: "string" },
+      "no-thumbnails": { type: "boolean" },
+      pdf: { type: "boolean" },
+      "dismiss-consent": { type: "string" },
+      hide: { type: "string", multiple: true },
+      remove: { type: "string", multiple: true },
+      "inject-css": { type: "string" },
+      "inject-script": { type: "string" },
+      element: { type: "string", multiple: true },
+      "element-limit": { type: "string" },
+      accessibility: { type: "boolean" },
+      "record-videos": { type: "boolean" },
+      "site-tour": { type: "boolean" },
+      "scroll-speed": { type: "string" },
+      "frame-rate": { type: "string" },
+      "pause-at-top": { type: "string" },
+      "pause-at-bottom": { type: "string" },
+      easing: { type: "string" },
+      "section-stops": { type: "boolean" },
+      "pause-at-sections": { type: "string" },
+      "video-format": { type: "string" },
+      crf: { type: "string" },
+      "video-bitrate": { type: "string" },
+      "video-scale": { type: "string" },
+      "max-duration": { type: "string" },
+      "record-for": { type: "string" },
+      dwell: { type: "string", multiple: true },
+      "intro-card": { type: "boolean" },
+      "caption-bar": { type: "boolean" },
+      watermark: { type: "string" },
+      "watermark-image": { type: "string" },
+      "watermark-position": { type: "string" },
+      "watermark-opacity": { type: "string" },
+      viewport: { type: "string", multiple: true },
+      "page-timeout": { type: "string" },
+      "wait-after-load": { type: "string" },
+      "http-auth": { type: "string" },
+      cookies: { type: "string" },
+      config: { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  const [command, url] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!["crawl", "video"].includes(command) || !url) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  try {
+    new URL(url);
+  } catch {
+    console.error(`Invalid URL "${url}". Please include http:// or https://`);
+    return 2;
+  }
+
+  const options = buildOptions(values);
+  const ok =
+    command === "crawl"
+      ? await runCrawl(url, options)
+      : await runVideo(url, options);
+  return ok ? 0 : 1;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      console.error(`✕ ${error.message}`);
+      process.exit(2);
+    });
+}
+
+module.exports = { crawlSucceeded, main };
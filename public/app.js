@@ -5,11 +5,34 @@ const socket = io();
 const crawlForm = document.getElementById('crawl-form');
 const websiteUrlInput = document.getElementById('website-url');
 const maxPagesInput = document.getElementById('max-pages');
-const viewportWidthSelect = document.getElementById('viewport-width');
+const viewportCheckboxes = document.querySelectorAll('.viewport-checkbox');
+const hidpiCheckbox = document.getElementById('hidpi');
 const scrollDelayInput = document.getElementById('scroll-delay');
 const pageTimeoutInput = document.getElementById('page-timeout');
 const waitAfterLoadInput = document.getElementById('wait-after-load');
 const smartDedupCheckbox = document.getElementById('smart-dedup');
+const concurrencyInput = document.getElementById('concurrency');
+const useSitemapCheckbox = document.getElementById('use-sitemap');
+const respectRobotsCheckbox = document.getElementById('respect-robots');
+const robotsUserAgentInput = document.getElementById('robots-user-agent');
+const includePatternsInput = document.getElementById('include-patterns');
+const excludePatternsInput = document.getElementById('exclude-patterns');
+const pathBudgetsInput = document.getElementById('path-budgets');
+const maxDepthInput = document.getElementById('max-depth');
+const recordPageVideosCheckbox = document.getElementById('record-page-videos');
+const siteTourCheckbox = document.getElementById('site-tour');
+const accessibilityAuditCheckbox = document.getElementById('accessibility-audit');
+const screenshotFormatSelect = document.getElementById('screenshot-format');
+const screenshotQualityInput = document.getElementById('screenshot-quality');
+const thumbnailsCheckbox = document.getElementById('thumbnails');
+const savePdfCheckbox = document.getElementById('save-pdf');
+const dismissConsentSelect = document.getElementById('dismiss-consent');
+const hideSelectorsInput = document.getElementById('hide-selectors');
+const removeSelectorsInput = document.getElementById('remove-selectors');
+const injectCssInput = document.getElementById('inject-css');
+const injectScriptInput = document.getElementById('inject-script');
+const elementSelectorsInput = document.getElementById('element-selectors');
+const elementLimitInput = document.getElementById('element-limit');
 const startBtn = document.getElementById('start-btn');
 const cancelBtn = document.getElementById('cancel-btn');
 const progressPanel = document.getElementById('progress-panel');
@@ -24,6 +47,8 @@ const screenshotsGrid = document.getElementById('screenshots-grid');
 const screenshotCount = document.getElementById('screenshot-count');
 const screenshotVisibleCount = document.getElementById('screenshot-visible-count');
 const downloadAllBtn = document.getElementById('download-all-btn');
+const reportBtn = document.getElementById('report-btn');
+const slugNamesCheckbox = document.getElementById('slug-names');
 const loadMoreSection = document.getElementById('load-more-section');
 const loadMoreInfo = document.getElementById('load-more-info');
 const loadMoreBtn = document.getElementById('load-more-btn');
@@ -33,6 +58,9 @@ const modal = document.getElementById('screenshot-modal');
 const modalTitle = document.getElementById('modal-title');
 const modalUrl = document.getElementById('modal-url');
 const modalImage = document.getElementById('modal-image');
+const modalVideo = document.getElementById('modal-video');
+const modalViewports = document.getElementById('modal-viewports');
+const modalElements = document.getElementById('modal-elements');
 const modalDownload = document.getElementById('modal-download');
 const modalCloseBtn = document.getElementById('modal-close-btn');
 const modalBackdrop = document.querySelector('.modal-backdrop');
@@ -49,12 +77,31 @@ const pauseBottomInput = document.getElementById('pause-bottom');
 const videoViewportSelect = document.getElementById('video-viewport');
 const videoTimeoutInput = document.getElementById('video-timeout');
 const videoWaitLoadInput = document.getElementById('video-wait-load');
+const videoFormatSelect = document.getElementById('video-format');
+const videoCrfInput = document.getElementById('video-crf');
+const videoBitrateInput = document.getElementById('video-bitrate');
+const videoScaleSelect = document.getElementById('video-scale');
+const maxDurationInput = document.getElementById('max-duration');
+const recordModeSelect = document.getElementById('record-mode');
+const recordDurationInput = document.getElementById('record-duration');
+const scrollPositionsInput = document.getElementById('scroll-positions');
+const scrollEasingSelect = document.getElementById('scroll-easing');
+const sectionStopsCheckbox = document.getElementById('section-stops');
+const pauseSectionsInput = document.getElementById('pause-sections');
+const introCardCheckbox = document.getElementById('intro-card');
+const captionBarCheckbox = document.getElementById('caption-bar');
+const watermarkPositionSelect = document.getElementById('watermark-position');
+const watermarkTextInput = document.getElementById('watermark-text');
+const watermarkImageInput = document.getElementById('watermark-image');
+const watermarkOpacityInput = document.getElementById('watermark-opacity');
 const videoResultPanel = document.getElementById('video-result-panel');
 const videoProgressPanel = document.getElementById('video-progress-panel');
 const videoProgressBar = document.getElementById('video-progress-bar');
 const videoFramesCount = document.getElementById('video-frames-count');
 const videoCurrentStatus = document.getElementById('video-current-status');
 const videoPreview = document.getElementById('video-preview');
+const videoPreviewImage = document.getElementById('video-preview-image');
+const videoFormatInfo = document.getElementById('video-format-info');
 const videoTitle = document.getElementById('video-title');
 const videoUrlLink = document.getElementById('video-url-link');
 const videoFramesInfo = document.getElementById('video-frames-info');
@@ -62,6 +109,48 @@ const videoTimestamp = document.getElementById('video-timestamp');
 const videoFileSize = document.getElementById('video-file-size');
 const downloadVideoBtn = document.getElementById('download-video-btn');
 
+// Authentication DOM Elements
+const httpAuthUsernameInput = document.getElementById('http-auth-username');
+const httpAuthPasswordInput = document.getElementById('http-auth-password');
+const authCookiesInput = document.getElementById('auth-cookies');
+const authCookiesFileInput = document.getElementById('auth-cookies-file');
+const loginUrlInput = document.getElementById('login-url');
+const loginSubmitSelectorInput = document.getElementById('login-submit-selector');
+const loginUsernameSelectorInput = document.getElementById('login-username-selector');
+const loginUsernameInput = document.getElementById('login-username');
+const loginPasswordSelectorInput = document.getElementById('login-password-selector');
+const loginPasswordInput = document.getElementById('login-password');
+const loginSuccessSelectorInput = document.getElementById('login-success-selector');
+const loginSuccessUrlInput = document.getElementById('login-success-url');
+
+// Compare Tab DOM Elements
+const compareForm = document.getElementById('compare-form');
+const compareBaseSelect = document.getElementById('compare-base');
+const compareTargetSelect = document.getElementById('compare-target');
+const compareThresholdInput = document.getElementById('compare-threshold');
+const compareBtn = document.getElementById('compare-btn');
+const compareStatus = document.getElementById('compare-status');
+const compareResultsPanel = document.getElementById('compare-results-panel');
+const compareTotals = document.getElementById('compare-totals');
+const compareResults = document.getElementById('compare-results');
+
+// Schedules Tab DOM Elements
+const scheduleForm = document.getElementById('schedule-form');
+const scheduleFormTitle = document.getElementById('schedule-form-title');
+const scheduleIdInput = document.getElementById('schedule-id');
+const scheduleNameInput = document.getElementById('schedule-name');
+const scheduleUrlInput = document.getElementById('schedule-url');
+const scheduleCronInput = document.getElementById('schedule-cron');
+const scheduleTimezoneInput = document.getElementById('schedule-timezone');
+const scheduleEnabledCheckbox = document.getElementById('schedule-enabled');
+const scheduleOptionsInput = document.getElementById('schedule-options');
+const scheduleCopyOptionsBtn = document.getElementById('schedule-copy-options-btn');
+const scheduleSaveBtn = document.getElementById('schedule-save-btn');
+const scheduleCancelEditBtn = document.getElementById('schedule-cancel-edit-btn');
+const scheduleStatus = document.getElementById('schedule-status');
+const schedulesList = document.getElementById('schedules-list');
+const refreshSchedulesBtn = document.getElementById('refresh-schedules-btn');
+
 // State
 let currentSessionId = null;
 let isCrawling = false;
@@ -95,6 +184,16 @@ document.querySelectorAll('.nav-tab').forEach(tab => {
         if (targetTab === 'history') {
             loadHistory();
         }
+
+        // Load session choices when switching to compare tab
+        if (targetTab === 'compare') {
+            loadCompareSessions();
+        }
+
+        // Load saved schedules when switching to schedules tab
+        if (targetTab === 'schedules') {
+            loadSchedules();
+        }
     });
 });
 
@@ -139,6 +238,154 @@ function setCaptureMode(mode) {
 modeScreenshots.addEventListener('click', () => setCaptureMode('screenshots'));
 modeVideo.addEventListener('click', () => setCaptureMode('video'));
 
+// Load a cookie file into the cookies textarea
+authCookiesFileInput.addEventListener('change', async () => {
+    const file = authCookiesFileInput.files[0];
+    if (!file) return;
+    authCookiesInput.value = await file.text();
+    authCookiesFileInput.value = '';
+});
+
+// Crawl options from the screenshot settings, also used for schedules
+function getScreenshotOptions() {
+    const viewports = Array.from(viewportCheckboxes)
+        .filter(checkbox => checkbox.checked)
+        .map(checkbox => ({
+            width: parseInt(checkbox.value),
+            height: parseInt(checkbox.dataset.height),
+            deviceScaleFactor: hidpiCheckbox.checked ? 2 : 1
+        }));
+
+    return {
+        maxPages: parseInt(maxPagesInput.value) || 20,
+        viewport: viewports[0],
+        viewports,
+        scrollDelay: parseInt(scrollDelayInput.value) || 100,
+        pageTimeout: (parseInt(pageTimeoutInput.value) || 30) * 1000,
+        waitAfterLoad: parseInt(waitAfterLoadInput.value) || 1000,
+        smartDedup: smartDedupCheckbox.checked,
+        concurrency: parseInt(concurrencyInput.value) || 1,
+        useSitemap: useSitemapCheckbox.checked,
+        respectRobots: respectRobotsCheckbox.checked,
+        robotsUserAgent: robotsUserAgentInput.value.trim() || 'ScreenCrawl',
+        includePatterns: parseLines(includePatternsInput.value),
+        excludePatterns: parseLines(excludePatternsInput.value),
+        pathBudgets: parsePathBudgets(pathBudgetsInput.value),
+        maxDepth: maxDepthInput.value === '' ? null : parseInt(maxDepthInput.value),
+        recordVideos: recordPageVideosCheckbox.checked,
+        siteTour: recordPageVideosCheckbox.checked && siteTourCheckbox.checked,
+        screenshotFormat: screenshotFormatSelect.value,
+        screenshotQuality: parseInt(screenshotQualityInput.value) || 80,
+        thumbnails: thumbnailsCheckbox.checked,
+        savePdf: savePdfCheckbox.checked,
+        dismissConsent: dismissConsentSelect.value || null,
+        hideSelectors: parseLines(hideSelectorsInput.value),
+        removeSelectors: parseLines(removeSelectorsInput.value),
+        injectCss: injectCssInput.value.trim(),
+        injectScript: injectScriptInput.value.trim(),
+        elementSelectors: parseElementSelectors(elementSelectorsInput.value),
+        elementLimit: parseInt(elementLimitInput.value) || 10,
+        accessibilityAudit: accessibilityAuditCheckbox.checked,
+        // Page videos use the Video mode scroll and output settings
+        scrollSpeed: parseInt(scrollSpeedInput.value) || 50,
+        frameRate: parseInt(frameRateSelect.value) || 30,
+        pauseAtTop: parseInt(pauseTopInput.value) || 1000,
+        pauseAtBottom: parseInt(pauseBottomInput.value) || 1000,
+        ...getVideoOptions(),
+        ...getAuthOptions()
+    };
+}
+
+// Recording mode, scroll style, overlays, output format and quality shared by
+// video mode and page videos
+function getVideoOptions() {
+    return {
+        videoFormat: videoFormatSelect.value,
+        videoCrf: videoCrfInput.value === '' ? null : parseInt(videoCrfInput.value),
+        videoBitrate: videoBitrateInput.value.trim() || null,
+        videoScale: parseFloat(videoScaleSelect.value) || 1,
+        maxDuration: parseFloat(maxDurationInput.value) || null,
+        recordMode: recordModeSelect.value,
+        recordDuration: parseFloat(recordDurationInput.value) || 5,
+        scrollPositions: parseScrollPositions(scrollPositionsInput.value),
+        scrollEasing: scrollEasingSelect.value,
+        sectionStops: sectionStopsCheckbox.checked,
+        pauseAtSections: parseInt(pauseSectionsInput.value) || 0,
+        introCard: introCardCheckbox.checked,
+        captionBar: captionBarCheckbox.checked,
+        watermarkText: watermarkTextInput.value.trim() || null,
+        watermarkImage: watermarkImageInput.value.trim() || null,
+        watermarkPosition: watermarkPositionSelect.value,
+        watermarkOpacity: watermarkOpacityInput.value === ''
+            ? 0.6
+            : Math.min(100, Math.max(0, parseInt(watermarkOpacityInput.value))) / 100
+    };
+}
+
+// GIF and WebP results are animated images, not playable videos
+function isAnimatedImage(src) {
+    return /\.(gif|webp)$/i.test(src);
+}
+
+// A site tour is built from the page videos, so it needs them recorded
+siteTourCheckbox.addEventListener('change', () => {
+    if (siteTourCheckbox.checked) recordPageVideosCheckbox.checked = true;
+});
+recordPageVideosCheckbox.addEventListener('change', () => {
+    if (!recordPageVideosCheckbox.checked) siteTourCheckbox.checked = false;
+});
+
+// PNG screenshots are lossless, so quality only applies to JPEG and WebP
+screenshotFormatSelect.addEventListener('change', () => {
+    screenshotQualityInput.disabled = screenshotFormatSelect.value === 'png';
+});
+screenshotQualityInput.disabled = true;
+
+// Duration and scroll positions only apply to real-time recording
+function updateRecordModeInputs() {
+    const timed = recordModeSelect.value === 'timed';
+    recordDurationInput.disabled = !timed;
+    scrollPositionsInput.disabled = !timed;
+}
+recordModeSelect.addEventListener('change', updateRecordModeInputs);
+updateRecordModeInputs();
+
+sectionStopsCheckbox.addEventListener('change', () => {
+    pauseSectionsInput.disabled = !sectionStopsCheckbox.checked;
+});
+pauseSectionsInput.disabled = true;
+
+// Authentication options shared by both capture modes
+function getAuthOptions() {
+    const auth = {};
+
+    if (httpAuthUsernameInput.value.trim()) {
+        auth.httpAuth = {
+            username: httpAuthUsernameInput.value.trim(),
+            password: httpAuthPasswordInput.value
+        };
+    }
+
+    if (authCookiesInput.value.trim()) {
+        auth.cookies = authCookiesInput.value.trim();
+    }
+
+    if (loginUrlInput.value.trim()) {
+        auth.login = {
+            url: loginUrlInput.value.trim(),
+            usernameSelector: loginUsernameSelectorInput.value.trim() || undefined,
+            username: loginUsernameInput.value,
+            passwordSelector: loginPasswordSelectorInput.value.trim() || undefined,
+            password: loginPasswordInput.value,
+            submitSelector: loginSubmitSelectorInput.value.trim() || undefined,
+            successSelector: loginSuccessSelectorInput.value.trim() || undefined,
+            successUrl: loginSuccessUrlInput.value.trim() || undefined
+        };
+    }
+
+    return auth;
+}
+
 // Form submission
 crawlForm.addEventListener('submit', (e) => {
     e.preventDefault();
@@ -161,25 +408,14 @@ crawlForm.addEventListener('submit', (e) => {
 
     if (captureMode === 'screenshots') {
         // Screenshot mode
-        const options = {
-            maxPages: parseInt(maxPagesInput.value) || 20,
-            viewport: {
-                width: parseInt(viewportWidthSelect.value) || 1920,
-                height: 1080
-            },
-            scrollDelay: parseInt(scrollDelayInput.value) || 100,
-            pageTimeout: (parseInt(pageTimeoutInput.value) || 30) * 1000,
-            waitAfterLoad: parseInt(waitAfterLoadInput.value) || 1000,
-            smartDedup: smartDedupCheckbox.checked
-        };
+        const options = getScreenshotOptions();
 
-        // Clear previous results
-        screenshotsGrid.innerHTML = '';
-        screenshotCount.textContent = '0';
-        allScreenshots = [];
-        visibleCount = 0;
-        downloadAllBtn.disabled = true;
-        loadMoreSection.classList.add('hidden');
+        if (options.viewports.length === 0) {
+            addLogEntry('error', 'Select at least one viewport');
+            return;
+        }
+
+        clearScreenshotResults();
 
         // Start crawling
         socket.emit('start-crawl', { url, options });
@@ -199,7 +435,9 @@ crawlForm.addEventListener('submit', (e) => {
             scrollSpeed: parseInt(scrollSpeedInput.value) || 50,
             frameRate: parseInt(frameRateSelect.value) || 30,
             pauseAtTop: parseInt(pauseTopInput.value) || 1000,
-            pauseAtBottom: parseInt(pauseBottomInput.value) || 1000
+            pauseAtBottom: parseInt(pauseBottomInput.value) || 1000,
+            ...getVideoOptions(),
+            ...getAuthOptions()
         };
 
         // Hide previous video result
@@ -241,6 +479,13 @@ clearLogBtn.addEventListener('click', () => {
 // Socket event handlers
 socket.on('session-started', (data) => {
     currentSessionId = data.sessionId;
+
+    // Resumed crawls only start once the server has accepted the checkpoint
+    if (data.resumed) {
+        setCrawlingState(true);
+        addLogEntry('success', `Session resumed: ${data.sessionId.substring(0, 8)}...`);
+        return;
+    }
     addLogEntry('success', `Session started: ${data.sessionId.substring(0, 8)}...`);
 });
 
@@ -264,13 +509,18 @@ socket.on('screenshot', (data) => {
     screenshotsPanel.classList.remove('hidden');
 });
 
+socket.on('site-tour', (data) => {
+    renderSiteTourCard(data);
+});
+
 socket.on('complete', (data) => {
     setCrawlingState(false);
     addLogEntry('success', `Crawl completed! Captured ${data.totalPages} pages.`);
 
-    // Enable download button
+    // Enable download and report buttons
     if (currentSessionId && data.totalPages > 0) {
         downloadAllBtn.disabled = false;
+        reportBtn.disabled = false;
     }
 
     // Keep session ID for download
@@ -290,7 +540,9 @@ socket.on('video-session-started', (data) => {
 socket.on('video-progress', (data) => {
     videoProgressBar.style.width = `${data.progress}%`;
     videoFramesCount.textContent = data.frames;
-    videoCurrentStatus.textContent = `Capturing frames... ${data.progress}%`;
+    videoCurrentStatus.textContent = data.stage === 'encoding'
+        ? `Encoding video... ${data.progress}%`
+        : `Capturing frames... ${data.progress}% (${data.encoded || 0} encoded)`;
 });
 
 socket.on('video-complete', (data) => {
@@ -302,10 +554,19 @@ socket.on('video-complete', (data) => {
 
     // Show result panel
     videoResultPanel.classList.remove('hidden');
-    videoPreview.src = data.video;
+    const animated = isAnimatedImage(data.video);
+    videoPreview.classList.toggle('hidden', animated);
+    videoPreviewImage.classList.toggle('hidden', !animated);
+    if (animated) {
+        videoPreview.removeAttribute('src');
+        videoPreviewImage.src = data.video;
+    } else {
+        videoPreview.src = data.video;
+    }
     videoTitle.textContent = data.title;
     videoUrlLink.href = data.url;
     videoUrlLink.textContent = data.url;
+    videoFormatInfo.textContent = formatVideoSettings(data);
     videoFramesInfo.textContent = `${data.frames} frames`;
     videoTimestamp.textContent = new Date(data.timestamp).toLocaleString();
     videoFileSize.textContent = data.fileSize;
@@ -358,6 +619,16 @@ function setCrawlingState(crawling, isVideoMode = false) {
     }
 }
 
+function clearScreenshotResults() {
+    screenshotsGrid.innerHTML = '';
+    screenshotCount.textContent = '0';
+    allScreenshots = [];
+    visibleCount = 0;
+    downloadAllBtn.disabled = true;
+    reportBtn.disabled = true;
+    loadMoreSection.classList.add('hidden');
+}
+
 function addLogEntry(type, message) {
     const now = new Date();
     const time = now.toLocaleTimeString('en-US', { hour12: false });
@@ -409,7 +680,7 @@ function renderScreenshotCard(data) {
     card.className = 'screenshot-card group relative bg-dark-800/50 rounded-xl overflow-hidden border border-dark-700/50 cursor-pointer';
     card.innerHTML = `
         <div class="aspect-video relative overflow-hidden">
-            <img src="${data.screenshot}" alt="${escapeHtml(data.title)}" class="w-full h-full object-cover object-top" loading="lazy">
+            <img src="${data.thumbnail || data.screenshot}" alt="${escapeHtml(data.title)}" class="w-full h-full object-cover object-top" loading="lazy">
             <div class="absolute inset-0 bg-gradient-to-t from-dark-900/80 to-transparent opacity-0 group-hover:opacity-100 transition-opacity flex items-end p-3">
                 <span class="text-xs text-white font-medium truncate">${escapeHtml(data.title)}</span>
             </div>
@@ -419,14 +690,51 @@ function renderScreenshotCard(data) {
             <p class="text-xs text-dark-400 truncate mt-1">${escapeHtml(data.url)}</p>
             <div class="flex items-center gap-2 mt-2">
                 <span class="text-xs text-dark-500">${data.linksFound || 0} links found</span>
+                ${data.video ? '<span class="px-1.5 py-0.5 text-[10px] font-medium bg-violet-500/20 text-violet-400 rounded">🎬 video</span>' : ''}
+                ${data.consent && data.consent.action ? `<span class="px-1.5 py-0.5 text-[10px] font-medium bg-amber-500/20 text-amber-400 rounded" title="${escapeHtml(data.consent.manager)} consent banner">🍪 ${data.consent.action}ed</span>` : ''}
+                ${data.elements && data.elements.length > 0 ? `<span class="px-1.5 py-0.5 text-[10px] font-medium bg-sky-500/20 text-sky-400 rounded">🧩 ${data.elements.filter(element => element.screenshot).length} elements</span>` : ''}
+                ${data.accessibility ? formatAccessibilityBadge(data.accessibility, data.accessibility.total) : ''}
+                ${data.cssError ? `<span class="px-1.5 py-0.5 text-[10px] font-medium bg-red-500/20 text-red-400 rounded" title="${escapeHtml(data.cssError)}">⚠ css</span>` : ''}
+                ${data.scriptError ? `<span class="px-1.5 py-0.5 text-[10px] font-medium bg-red-500/20 text-red-400 rounded" title="${escapeHtml(data.scriptError)}">⚠ script</span>` : ''}
+                ${data.pdf ? `<a href="${data.pdf}" target="_blank" class="pdf-link px-1.5 py-0.5 text-[10px] font-medium bg-red-500/20 text-red-400 rounded">📄 PDF</a>` : ''}
+                ${(data.screenshots || []).map(shot => `
+                    <span class="px-1.5 py-0.5 text-[10px] font-medium bg-dark-700/50 text-dark-300 rounded">${formatViewport(shot)}</span>
+                `).join('')}
             </div>
         </div>
     `;
 
     card.addEventListener('click', () => openModal(data));
+    // The PDF opens in a new tab instead of the preview
+    const pdfLink = card.querySelector('.pdf-link');
+    if (pdfLink) pdfLink.addEventListener('click', e => e.stopPropagation());
     screenshotsGrid.appendChild(card);
 }
 
+// The site tour sits at the start of the grid, outside the pagination
+function renderSiteTourCard(tour) {
+    const card = document.createElement('div');
+    card.className = 'screenshot-card group relative bg-dark-800/50 rounded-xl overflow-hidden border border-violet-500/30 cursor-pointer';
+    card.innerHTML = `
+        <div class="aspect-video relative overflow-hidden bg-dark-900">
+            <video src="${tour.video}" muted preload="metadata" class="w-full h-full object-cover"></video>
+            <div class="absolute inset-0 flex items-center justify-center text-4xl">🎬</div>
+        </div>
+        <div class="p-3">
+            <p class="text-sm font-medium text-white truncate">Site tour</p>
+            <p class="text-xs text-dark-400 truncate mt-1">${tour.pages} pages • ${formatDuration(tour.duration)}</p>
+        </div>
+    `;
+
+    card.addEventListener('click', () => openModal({
+        id: 'site_tour',
+        title: 'Site tour',
+        url: websiteUrlInput.value.trim(),
+        video: tour.video
+    }));
+    screenshotsGrid.prepend(card);
+}
+
 function updatePaginationUI() {
     const total = allScreenshots.length;
     const showing = Math.min(visibleCount, total);
@@ -473,21 +781,127 @@ downloadAllBtn.addEventListener('click', () => {
     addLogEntry('info', 'Starting download...');
 
     // Use direct navigation for file download - most reliable method
-    window.location.href = `/api/sessions/${currentSessionId}/download`;
+    window.location.href = getDownloadUrl(currentSessionId);
+});
+
+// ZIP download URL, with files named after their URL path when chosen
+function getDownloadUrl(sessionId) {
+    return `/api/sessions/${sessionId}/download${slugNamesCheckbox.checked ? '?names=slug' : ''}`;
+}
+
+// PDF report button handler, the server builds the report on request
+reportBtn.addEventListener('click', () => {
+    if (!currentSessionId) {
+        addLogEntry('error', 'No session available for a report');
+        return;
+    }
+
+    addLogEntry('info', 'Building PDF report...');
+    window.location.href = `/api/sessions/${currentSessionId}/report`;
 });
 
 function openModal(data) {
     modalTitle.textContent = data.title;
     modalUrl.href = data.url;
     modalUrl.textContent = data.url;
-    modalImage.src = data.screenshot;
-    modalDownload.href = data.screenshot;
-    modalDownload.download = `screenshot_${data.id}.png`;
+
+    // One button per viewport when the page was captured at several, plus the
+    // page video when one was recorded
+    const shots = data.screenshots || [];
+    const views = shots.length > 0
+        ? shots.map(shot => ({ label: formatViewport(shot), src: shot.screenshot, thumbnail: shot.thumbnail, name: shot.screenshot.split('/').pop() }))
+        : data.screenshot ? [{ label: 'Screenshot', src: data.screenshot, thumbnail: data.thumbnail, name: data.screenshot.split('/').pop() }] : [];
+    if (data.video) {
+        views.push({ label: '🎬 Video', src: data.video, name: data.video.split('/').pop(), isVideo: !isAnimatedImage(data.video) });
+    }
+    showModalMedia(views[0]);
+
+    modalViewports.innerHTML = views.map((view, index) => `
+        <button type="button" data-index="${index}" class="modal-viewport-btn px-3 py-1.5 text-xs font-medium rounded-lg transition-colors ${index === 0 ? 'bg-primary-500/20 text-primary-400' : 'text-dark-400 hover:text-dark-200'}">
+            ${view.label}
+        </button>
+    `).join('');
+
+    // Captured elements as small thumbnails under the viewport buttons
+    const elements = (data.elements || []).filter(element => element.screenshot);
+    modalElements.innerHTML = elements.map((element, index) => `
+        <button type="button" data-index="${index}" class="modal-element-btn flex-shrink-0 w-28 text-left rounded-lg border border-dark-700/50 hover:border-primary-500/50 overflow-hidden transition-colors" title="${escapeHtml(element.selector)}">
+            <img src="${element.screenshot}" alt="${escapeHtml(element.name)}" class="w-full h-16 object-cover object-top bg-dark-900/50" loading="lazy">
+            <span class="block px-2 py-1 text-[10px] text-dark-300 truncate">${escapeHtml(element.name)} • ${element.width}×${element.height}</span>
+        </button>
+    `).join('');
+    modalElements.classList.toggle('hidden', elements.length === 0);
+    // The buttons are also the way back from an element to the page
+    modalViewports.classList.toggle('hidden', views.length < 2 && elements.length === 0);
+
+    const selectButton = (btn) => {
+        modalViewports.querySelectorAll('.modal-viewport-btn').forEach(b => {
+            b.classList.remove('bg-primary-500/20', 'text-primary-400');
+            b.classList.add('text-dark-400', 'hover:text-dark-200');
+        });
+        modalElements.querySelectorAll('.modal-element-btn').forEach(b => {
+            b.classList.remove('border-primary-500');
+        });
+        if (btn.classList.contains('modal-element-btn')) {
+            btn.classList.add('border-primary-500');
+        } else {
+            btn.classList.add('bg-primary-500/20', 'text-primary-400');
+            btn.classList.remove('text-dark-400', 'hover:text-dark-200');
+        }
+    };
+
+    modalViewports.querySelectorAll('.modal-viewport-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            showModalMedia(views[parseInt(btn.dataset.index)]);
+            selectButton(btn);
+        });
+    });
+
+    modalElements.querySelectorAll('.modal-element-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const element = elements[parseInt(btn.dataset.index)];
+            showModalMedia({ src: element.screenshot, name: element.screenshot.split('/').pop() });
+            selectButton(btn);
+        });
+    });
+
     modal.classList.remove('hidden');
     document.body.style.overflow = 'hidden';
 }
 
+function showModalMedia(view) {
+    modalImage.classList.toggle('hidden', Boolean(view.isVideo));
+    modalVideo.classList.toggle('hidden', !view.isVideo);
+
+    if (view.isVideo) {
+        modalVideo.src = view.src;
+    } else {
+        modalVideo.pause();
+        showModalImage(view);
+    }
+    modalDownload.href = view.src;
+    modalDownload.download = view.name;
+}
+
+// Show the thumbnail right away and swap in the full screenshot once loaded
+function showModalImage(view) {
+    modalImage.dataset.src = view.src;
+    if (!view.thumbnail) {
+        modalImage.src = view.src;
+        return;
+    }
+
+    modalImage.src = view.thumbnail;
+    const full = new Image();
+    full.onload = () => {
+        // Another viewport may have been picked while this one loaded
+        if (modalImage.dataset.src === view.src) modalImage.src = view.src;
+    };
+    full.src = view.src;
+}
+
 function closeModal() {
+    modalVideo.pause();
     modal.classList.add('hidden');
     document.body.style.overflow = '';
 }
@@ -522,16 +936,48 @@ async function loadHistory() {
         historyList.innerHTML = sessions.map(session => `
             <div class="session-card bg-dark-800/50 rounded-xl p-4 border border-dark-700/50 mb-3 hover:border-dark-600/50 transition-colors">
                 <div class="flex items-start justify-between gap-4">
+                    ${session.type === 'video' ? `
+                        <div class="w-24 aspect-video flex-shrink-0 overflow-hidden rounded-lg bg-dark-900/50 border border-dark-700/50 flex items-center justify-center">
+                            ${session.poster
+                                ? `<img src="${session.poster}" alt="Video poster" class="w-full h-full object-cover object-top" loading="lazy">`
+                                : '<span class="text-xl">🎬</span>'}
+                        </div>
+                    ` : session.thumbnail ? `
+                        <div class="w-24 aspect-video flex-shrink-0 overflow-hidden rounded-lg bg-dark-900/50 border border-dark-700/50">
+                            <img src="${session.thumbnail}" alt="First page" class="w-full h-full object-cover object-top" loading="lazy">
+                        </div>
+                    ` : ''}
                     <div class="flex-1 min-w-0">
-                        <h4 class="font-medium text-white truncate">${escapeHtml(session.startUrl || 'Unknown URL')}</h4>
+                        <h4 class="font-medium text-white truncate">${escapeHtml(session.startUrl || session.url || 'Unknown URL')}</h4>
                         <p class="text-sm text-dark-400 mt-1">
-                            ${session.pagesProcessed || 0} pages • 
+                            ${session.type === 'video'
+                                ? `🎬 ${session.format ? escapeHtml(session.format.toUpperCase()) : 'Video'}${session.duration !== null && session.duration !== undefined ? ` • ${formatDuration(session.duration)}` : ''}${session.fileSize ? ` • ${session.fileSize}` : ''}`
+                                : `${session.pagesProcessed || 0} pages`} • 
                             ${formatDate(session.startTime)}
+                            ${session.status && session.status !== 'completed' ? `
+                                <span class="ml-1 px-2 py-0.5 text-xs font-medium rounded-full bg-amber-500/20 text-amber-400">${escapeHtml(session.status)}</span>
+                            ` : ''}
+                            ${session.schedule ? `
+                                <span class="ml-1 px-2 py-0.5 text-xs font-medium rounded-full bg-violet-500/20 text-violet-400" title="Started by a schedule">⏰ ${escapeHtml(session.schedule.name)}</span>
+                            ` : ''}
+                            ${session.accessibility ? `
+                                <span class="ml-1">${formatAccessibilityBadge(session.accessibility, session.accessibility.violatedRules)}</span>
+                            ` : ''}
                         </p>
                         <p class="text-xs text-dark-500 mt-1 font-mono truncate">${session.sessionId}</p>
                     </div>
                     <div class="flex items-center gap-2 flex-shrink-0">
-                        <button onclick="downloadSession('${session.sessionId}')" class="px-3 py-1.5 text-sm bg-emerald-500/20 text-emerald-400 rounded-lg hover:bg-emerald-500/30 transition-colors flex items-center gap-1" title="Download all screenshots as ZIP">
+                        ${session.resumable ? `
+                            <button onclick="resumeSession('${session.sessionId}')" class="px-3 py-1.5 text-sm bg-amber-500/20 text-amber-400 rounded-lg hover:bg-amber-500/30 transition-colors" title="Continue from the last checkpoint">
+                                Resume
+                            </button>
+                        ` : ''}
+                        ${session.type === 'crawl' && session.results ? `
+                            <a href="/api/sessions/${session.sessionId}/report" class="px-3 py-1.5 text-sm bg-dark-700/50 text-dark-200 rounded-lg hover:bg-dark-600/50 transition-colors" title="Download a PDF report with one screenshot per page">
+                                PDF
+                            </a>
+                        ` : ''}
+                        <button onclick="downloadSession('${session.sessionId}')" class="px-3 py-1.5 text-sm bg-emerald-500/20 text-emerald-400 rounded-lg hover:bg-emerald-500/30 transition-colors flex items-center gap-1" title="${session.type === 'video' ? 'Download the video as ZIP' : 'Download all screenshots as ZIP'}">
                             <svg class="w-3.5 h-3.5" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
                                 <polyline points="7 10 12 15 17 10"/>
@@ -539,7 +985,7 @@ async function loadHistory() {
                             </svg>
                             ZIP
                         </button>
-                        <a href="/screenshots/${session.sessionId}/" target="_blank" class="px-3 py-1.5 text-sm bg-primary-500/20 text-primary-400 rounded-lg hover:bg-primary-500/30 transition-colors">
+                        <a href="${session.type === 'video' && session.result ? session.result.video : `/screenshots/${session.sessionId}/`}" target="_blank" class="px-3 py-1.5 text-sm bg-primary-500/20 text-primary-400 rounded-lg hover:bg-primary-500/30 transition-colors">
                             View
                         </a>
                         <button onclick="deleteSession('${session.sessionId}')" class="px-3 py-1.5 text-sm bg-red-500/20 text-red-400 rounded-lg hover:bg-red-500/30 transition-colors">
@@ -559,7 +1005,7 @@ function downloadSession(sessionId) {
     // Create an iframe for download to avoid navigating away from page
     const iframe = document.createElement('iframe');
     iframe.style.display = 'none';
-    iframe.src = `/api/sessions/${sessionId}/download`;
+    iframe.src = getDownloadUrl(sessionId);
     document.body.appendChild(iframe);
 
     // Remove iframe after download starts
@@ -571,6 +1017,24 @@ function downloadSession(sessionId) {
 // Make downloadSession available globally
 window.downloadSession = downloadSession;
 
+// Resume an interrupted crawl, reusing the auth settings currently in the form
+function resumeSession(sessionId) {
+    if (isCrawling) {
+        addLogEntry('error', 'Wait for the current crawl to finish first');
+        return;
+    }
+
+    document.querySelector('.nav-tab[data-tab="crawler"]').click();
+    setCaptureMode('screenshots');
+    clearScreenshotResults();
+
+    socket.emit('resume-crawl', { sessionId, options: getAuthOptions() });
+    addLogEntry('info', `Resuming session ${sessionId.substring(0, 8)}...`);
+}
+
+// Make resumeSession available globally
+window.resumeSession = resumeSession;
+
 async function deleteSession(sessionId) {
     if (!confirm('Are you sure you want to delete this session?')) return;
 
@@ -584,13 +1048,438 @@ async function deleteSession(sessionId) {
 
 refreshHistoryBtn.addEventListener('click', loadHistory);
 
+// Compare functions
+async function loadCompareSessions() {
+    try {
+        const response = await fetch('/api/sessions');
+        const sessions = (await response.json()).filter(session => session.results);
+
+        const previousBase = compareBaseSelect.value;
+        const previousTarget = compareTargetSelect.value;
+        const optionsHtml = sessions.map(session => `
+            <option value="${session.sessionId}">
+                ${escapeHtml(session.startUrl || session.sessionId)} • ${formatDate(session.startTime)} (${session.pagesProcessed || 0} pages)
+            </option>
+        `).join('');
+
+        compareBaseSelect.innerHTML = optionsHtml;
+        compareTargetSelect.innerHTML = optionsHtml;
+
+        // Default to comparing the previous session against the newest one
+        if (sessions.length > 1) {
+            compareBaseSelect.value = previousBase || sessions[1].sessionId;
+            compareTargetSelect.value = previousTarget || sessions[0].sessionId;
+        }
+
+        compareBtn.disabled = sessions.length < 2;
+        compareStatus.textContent = sessions.length < 2 ? 'At least two completed sessions are needed to compare' : '';
+    } catch (error) {
+        addLogEntry('error', 'Failed to load sessions for comparison');
+    }
+}
+
+compareForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const baseSessionId = compareBaseSelect.value;
+    const targetSessionId = compareTargetSelect.value;
+    if (baseSessionId === targetSessionId) {
+        compareStatus.textContent = 'Pick two different sessions';
+        return;
+    }
+
+    // 0 is a valid threshold, only an empty or invalid input gets the default
+    const threshold = parseFloat(compareThresholdInput.value);
+
+    compareBtn.disabled = true;
+    compareStatus.textContent = 'Comparing screenshots...';
+
+    try {
+        const response = await fetch('/api/compare', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                baseSessionId,
+                targetSessionId,
+                threshold: Number.isNaN(threshold) ? 0.1 : threshold
+            })
+        });
+        const comparison = await response.json();
+
+        if (!response.ok) {
+            throw new Error(comparison.error || 'Comparison failed');
+        }
+
+        renderComparison(comparison);
+        compareStatus.textContent = '';
+    } catch (error) {
+        compareStatus.textContent = `Comparison failed: ${error.message}`;
+    } finally {
+        compareBtn.disabled = false;
+    }
+});
+
+function renderComparison(comparison) {
+    const { totals } = comparison;
+    compareTotals.innerHTML = `
+        <span class="text-amber-400">${totals.changed} changed</span>
+        <span>•</span>
+        <span>${totals.unchanged} unchanged</span>
+        <span>•</span>
+        <span class="text-emerald-400">${totals.added} added</span>
+        <span>•</span>
+        <span class="text-red-400">${totals.removed} removed</span>
+    `;
+
+    const statusClasses = {
+        changed: 'bg-amber-500/20 text-amber-400',
+        unchanged: 'bg-dark-700/50 text-dark-300',
+        error: 'bg-red-500/20 text-red-400',
+        added: 'bg-emerald-500/20 text-emerald-400',
+        removed: 'bg-red-500/20 text-red-400'
+    };
+
+    const pageRows = comparison.pages.map(page => `
+        <div class="bg-dark-800/50 rounded-xl p-4 border border-dark-700/50">
+            <div class="flex items-start justify-between gap-4 mb-3">
+                <div class="flex-1 min-w-0">
+                    <p class="text-sm font-medium text-white truncate">${escapeHtml(page.title)}</p>
+                    <p class="text-xs text-dark-400 truncate mt-1">${escapeHtml(page.url)}</p>
+                </div>
+                <span class="px-2 py-0.5 text-xs font-medium rounded-full ${statusClasses[page.status]}">
+                    ${page.status === 'error' ? escapeHtml(page.error) : `${page.mismatchPercentage}% mismatch`}
+                </span>
+            </div>
+            <div class="grid grid-cols-3 gap-3">
+                ${renderCompareImage('Baseline', page.base, page)}
+                ${renderCompareImage('Compared', page.target, page)}
+                ${page.diff ? renderCompareImage('Diff', page.diff, page) : ''}
+            </div>
+        </div>
+    `);
+
+    const onlyInOneRows = [
+        ...comparison.added.map(page => ({ ...page, status: 'added' })),
+        ...comparison.removed.map(page => ({ ...page, status: 'removed' }))
+    ].map(page => `
+        <div class="flex items-center justify-between gap-4 bg-dark-800/50 rounded-xl px-4 py-3 border border-dark-700/50">
+            <div class="flex-1 min-w-0">
+                <p class="text-sm font-medium text-white truncate">${escapeHtml(page.title)}</p>
+                <p class="text-xs text-dark-400 truncate mt-1">${escapeHtml(page.url)}</p>
+            </div>
+            <span class="px-2 py-0.5 text-xs font-medium rounded-full ${statusClasses[page.status]}">${page.status}</span>
+        </div>
+    `);
+
+    compareResults.innerHTML = [...pageRows, ...onlyInOneRows].join('') || `
+        <p class="text-sm text-dark-400 text-center py-6">No pages to compare</p>
+    `;
+
+    compareResults.querySelectorAll('[data-compare-image]').forEach(img => {
+        img.addEventListener('click', () => openModal({
+            title: `${img.dataset.label}: ${img.dataset.title}`,
+            url: img.dataset.url,
+            screenshot: img.src,
+            id: img.dataset.label.toLowerCase()
+        }));
+    });
+
+    compareResultsPanel.classList.remove('hidden');
+}
+
+function renderCompareImage(label, src, page) {
+    // Pages that failed to capture in one session have nothing to show
+    if (!src) {
+        return `
+            <div>
+                <p class="text-xs text-dark-500 mb-1">${label}</p>
+                <div class="aspect-video flex items-center justify-center rounded-lg border border-dark-700/50 text-xs text-dark-500">No screenshot</div>
+            </div>
+        `;
+    }
+
+    return `
+        <div>
+            <p class="text-xs text-dark-500 mb-1">${label}</p>
+            <div class="aspect-video overflow-hidden rounded-lg border border-dark-700/50 cursor-pointer">
+                <img src="${src}" alt="${label}" class="w-full h-full object-cover object-top" loading="lazy"
+                    data-compare-image data-label="${label}" data-title="${escapeHtml(page.title)}" data-url="${escapeHtml(page.url)}">
+            </div>
+        </div>
+    `;
+}
+
+// Schedule functions
+async function loadSchedules() {
+    try {
+        const response = await fetch('/api/schedules');
+        const schedules = await response.json();
+
+        if (schedules.length === 0) {
+            schedulesList.innerHTML = `
+                <div class="empty-state flex flex-col items-center justify-center py-12 text-center">
+                    <p class="text-dark-400 font-medium">No schedules yet</p>
+                    <span class="text-sm text-dark-500">Save a crawl above to run it automatically</span>
+                </div>
+            `;
+            return;
+        }
+
+        schedulesList.innerHTML = schedules.map(schedule => `
+            <div class="session-card bg-dark-800/50 rounded-xl p-4 border border-dark-700/50 mb-3 hover:border-dark-600/50 transition-colors ${schedule.enabled ? '' : 'opacity-60'}">
+                <div class="flex items-start justify-between gap-4">
+                    <div class="flex-1 min-w-0">
+                        <h4 class="font-medium text-white truncate">
+                            ${escapeHtml(schedule.name)}
+                            ${schedule.enabled ? '' : '<span class="ml-1 px-2 py-0.5 text-xs font-medium rounded-full bg-dark-700/50 text-dark-300">disabled</span>'}
+                            ${schedule.running ? '<span class="ml-1 px-2 py-0.5 text-xs font-medium rounded-full bg-primary-500/20 text-primary-400">running</span>' : ''}
+                        </h4>
+                        <p class="text-sm text-dark-400 mt-1 truncate">${escapeHtml(schedule.url)}</p>
+                        <p class="text-xs text-dark-500 mt-1">
+                            <span class="font-mono">${escapeHtml(schedule.cron)}</span>${schedule.timezone ? ` (${escapeHtml(schedule.timezone)})` : ''} •
+                            ${schedule.lastRunAt ? `Last run ${formatDate(schedule.lastRunAt)}: ${escapeHtml(schedule.lastStatus || '')}` : 'Never run'}
+                        </p>
+                    </div>
+                    <div class="flex items-center gap-2 flex-shrink-0">
+                        <button onclick="runScheduleNow('${schedule.id}')" class="px-3 py-1.5 text-sm bg-emerald-500/20 text-emerald-400 rounded-lg hover:bg-emerald-500/30 transition-colors">
+                            Run Now
+                        </button>
+                        <button onclick="editSchedule('${schedule.id}')" class="px-3 py-1.5 text-sm bg-primary-500/20 text-primary-400 rounded-lg hover:bg-primary-500/30 transition-colors">
+                            Edit
+                        </button>
+                        <button onclick="toggleSchedule('${schedule.id}', ${!schedule.enabled})" class="px-3 py-1.5 text-sm bg-amber-500/20 text-amber-400 rounded-lg hover:bg-amber-500/30 transition-colors">
+                            ${schedule.enabled ? 'Disable' : 'Enable'}
+                        </button>
+                        <button onclick="deleteSchedule('${schedule.id}')" class="px-3 py-1.5 text-sm bg-red-500/20 text-red-400 rounded-lg hover:bg-red-500/30 transition-colors">
+                            Delete
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        addLogEntry('error', 'Failed to load schedules');
+    }
+}
+
+// Send a schedule to the API, returning the saved schedule
+async function saveSchedule(scheduleId, body) {
+    const response = await fetch(scheduleId ? `/api/schedules/${scheduleId}` : '/api/schedules', {
+        method: scheduleId ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const schedule = await response.json();
+
+    if (!response.ok) {
+        throw new Error(schedule.error || 'Failed to save schedule');
+    }
+    return schedule;
+}
+
+function resetScheduleForm() {
+    scheduleForm.reset();
+    scheduleIdInput.value = '';
+    scheduleFormTitle.textContent = 'New Schedule';
+    scheduleCancelEditBtn.classList.add('hidden');
+}
+
+async function editSchedule(scheduleId) {
+    try {
+        const response = await fetch(`/api/schedules/${scheduleId}`);
+        const schedule = await response.json();
+
+        // Saved credentials come back redacted and stay on the server
+        const { auth, ...options } = schedule.options;
+
+        scheduleIdInput.value = schedule.id;
+        scheduleNameInput.value = schedule.name;
+        scheduleUrlInput.value = schedule.url;
+        scheduleCronInput.value = schedule.cron;
+        scheduleTimezoneInput.value = schedule.timezone || '';
+        scheduleEnabledCheckbox.checked = schedule.enabled;
+        scheduleOptionsInput.value = JSON.stringify(options, null, 2);
+        scheduleFormTitle.textContent = `Edit Schedule: ${schedule.name}`;
+        scheduleCancelEditBtn.classList.remove('hidden');
+        scheduleStatus.textContent = '';
+    } catch (error) {
+        addLogEntry('error', 'Failed to load schedule');
+    }
+}
+
+async function toggleSchedule(scheduleId, enabled) {
+    try {
+        await saveSchedule(scheduleId, { enabled });
+        loadSchedules();
+    } catch (error) {
+        scheduleStatus.textContent = error.message;
+    }
+}
+
+async function runScheduleNow(scheduleId) {
+    try {
+        const response = await fetch(`/api/schedules/${scheduleId}/run`, { method: 'POST' });
+        const run = await response.json();
+
+        if (!response.ok) {
+            throw new Error(run.error || 'Failed to start run');
+        }
+        scheduleStatus.textContent = `Started session ${run.sessionId}, see History for results`;
+        loadSchedules();
+    } catch (error) {
+        scheduleStatus.textContent = error.message;
+    }
+}
+
+async function deleteSchedule(scheduleId) {
+    if (!confirm('Delete this schedule? Sessions it already created are kept.')) return;
+
+    try {
+        await fetch(`/api/schedules/${scheduleId}`, { method: 'DELETE' });
+        if (scheduleIdInput.value === scheduleId) resetScheduleForm();
+        loadSchedules();
+    } catch (error) {
+        addLogEntry('error', 'Failed to delete schedule');
+    }
+}
+
+// Make schedule actions available globally
+window.editSchedule = editSchedule;
+window.toggleSchedule = toggleSchedule;
+window.runScheduleNow = runScheduleNow;
+window.deleteSchedule = deleteSchedule;
+
+scheduleForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    let options = {};
+    try {
+        options = scheduleOptionsInput.value.trim() ? JSON.parse(scheduleOptionsInput.value) : {};
+    } catch {
+        scheduleStatus.textContent = 'Crawl options must be valid JSON';
+        return;
+    }
+
+    scheduleSaveBtn.disabled = true;
+    scheduleStatus.textContent = 'Saving...';
+
+    try {
+        const schedule = await saveSchedule(scheduleIdInput.value, {
+            name: scheduleNameInput.value,
+            url: scheduleUrlInput.value.trim(),
+            cron: scheduleCronInput.value.trim(),
+            timezone: scheduleTimezoneInput.value.trim(),
+            enabled: scheduleEnabledCheckbox.checked,
+            options
+        });
+
+        resetScheduleForm();
+        scheduleStatus.textContent = `Saved "${schedule.name}"`;
+        loadSchedules();
+    } catch (error) {
+        scheduleStatus.textContent = error.message;
+    } finally {
+        scheduleSaveBtn.disabled = false;
+    }
+});
+
+// Prefill the options with whatever is set up on the Crawler tab
+scheduleCopyOptionsBtn.addEventListener('click', () => {
+    scheduleOptionsInput.value = JSON.stringify(getScreenshotOptions(), null, 2);
+    if (!scheduleUrlInput.value) {
+        scheduleUrlInput.value = websiteUrlInput.value.trim();
+    }
+});
+
+scheduleCancelEditBtn.addEventListener('click', () => {
+    resetScheduleForm();
+    scheduleStatus.textContent = '';
+});
+
+refreshSchedulesBtn.addEventListener('click', loadSchedules);
+
 // Utility functions
+function parseLines(text) {
+    return text.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+// Parse "name: selector" lines into { name: selector }. The space after the
+// colon tells a name from a pseudo-class, a bare selector is its own name.
+function parseElementSelectors(text) {
+    const selectors = {};
+    parseLines(text).forEach(line => {
+        const match = line.match(/^([\w-]+):\s+(.+)$/);
+        if (match) {
+            selectors[match[1]] = match[2];
+        } else {
+            selectors[line] = line;
+        }
+    });
+    return selectors;
+}
+
+// Parse "/prefix: 5" lines into { "/prefix": 5 }
+function parsePathBudgets(text) {
+    const budgets = {};
+    parseLines(text).forEach(line => {
+        const match = line.match(/^(.+?)\s*[:=]\s*(\d+)$/);
+        if (match) {
+            budgets[match[1]] = parseInt(match[2]);
+        }
+    });
+    return budgets;
+}
+
+// "1200: 4000" lines into [{ y: 1200, dwell: 4000 }]
+function parseScrollPositions(text) {
+    return parseLines(text)
+        .map(line => line.match(/^(\d+)\s*[:=]\s*(\d+)$/))
+        .filter(Boolean)
+        .map(match => ({ y: parseInt(match[1]), dwell: parseInt(match[2]) }));
+}
+
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
     return div.innerHTML;
 }
 
+// ♿ badge for a page audit or a crawl rollup, coloured by the worst impact
+function formatAccessibilityBadge(audit, total) {
+    if (audit.error) {
+        return `<span class="px-1.5 py-0.5 text-[10px] font-medium bg-dark-700/50 text-dark-300 rounded" title="${escapeHtml(audit.error)}">♿ audit failed</span>`;
+    }
+
+    const { critical, serious, moderate } = audit.byImpact;
+    const color = critical + serious > 0
+        ? 'bg-red-500/20 text-red-400'
+        : moderate > 0 ? 'bg-amber-500/20 text-amber-400' : 'bg-emerald-500/20 text-emerald-400';
+    const title = Object.entries(audit.byImpact)
+        .map(([impact, count]) => `${count} ${impact}`)
+        .join(', ');
+    return `<span class="px-1.5 py-0.5 text-[10px] font-medium rounded ${color}" title="Rules violated: ${title}">♿ ${total}</span>`;
+}
+
+function formatViewport(shot) {
+    return `${shot.width}px${shot.deviceScaleFactor > 1 ? ` @${shot.deviceScaleFactor}x` : ''}`;
+}
+
+function formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = Math.round(seconds % 60);
+    return minutes > 0 ? `${minutes}m ${rest}s` : `${seconds}s`;
+}
+
+// e.g. "WEBM (VP9) • CRF 30 • 50%"
+function formatVideoSettings(data) {
+    if (!data.format) return '';
+    const parts = [`${data.format.toUpperCase()} (${data.codec})`];
+    if (data.crf !== undefined) parts.push(`CRF ${data.crf}`);
+    if (data.bitrate) parts.push(data.bitrate);
+    if (data.scale) parts.push(`${Math.round(data.scale * 100)}%`);
+    return parts.join(' • ');
+}
+
 function formatDate(dateString) {
     if (!dateString) return 'Unknown date';
     const date = new Date(dateString);
@@ -5,10 +5,16 @@ const puppeteer = require("puppeteer");
 const path = require("path");
 const fs = require("fs");
 const { v4: uuidv4 } = require("uuid");
-const { URL } = require("url");
+const { URL, pathToFileURL } = require("url");
 const archiver = require("archiver");
-const { spawn } = require("child_process");
+const { spawn, execFile } = require("child_process");
+const zlib = require("zlib");
 const ffmpegPath = require("ffmpeg-static");
+const { PNG } = require("pngjs");
+const pixelmatch = require("pixelmatch");
+const cron = require("node-cron");
+const crypto = require("crypto");
+const axe = require("axe-core");
 
 // Helper to extract clean domain name from URL
 function getDomainName(url) {
@@ -38,6 +44,7 @@ app.use(express.json());
 app.use(express.static(path.join(__dirname, "public")));
 app.use("/screenshots", express.static(path.join(__dirname, "screenshots")));
 app.use("/videos", express.static(path.join(__dirname, "videos")));
+app.use("/comparisons", express.static(path.join(__dirname, "comparisons")));
 
 // Ensure screenshots directory exists
 const screenshotsDir = path.join(__dirname, "screenshots");
@@ -48,6 +55,90 @@ if (!fs.existsSync(screenshotsDir)) {
 // Store active crawl sessions
 const activeSessions = new Map();
 
+// Register a new crawl or video session
+function createSession(url, options, type = "crawl", existingId = null) {
+  const sessionId =
+    existingId || generateSessionId(url) + (type === "video" ? "_video" : "");
+  const session = {
+    id: sessionId,
+    url,
+    options,
+    startTime: new Date().toISOString(),
+    cancelled: false,
+    type,
+    // Live state for REST polling
+    status: "running",
+    progress: null,
+    results: [],
+    log: [],
+  };
+
+  activeSessions.set(sessionId, session);
+  return session;
+}
+
+// Socket-like emitter that records progress on the session for REST polling,
+// forwarding every event to the browser socket when there is one. Every job
+// the server runs gets one, so it also fires the session webhooks.
+function createSessionEmitter(session, socket = null) {
+  sendWebhooks("session.started", session.id, {
+    type: session.type,
+    summary: {
+      url: session.url,
+      options: redactOptions(session.options),
+      schedule: session.schedule || null,
+      startTime: session.startTime,
+      status: "running",
+    },
+  });
+
+  return {
+    emit(event, data) {
+      if (event === "status") {
+        session.log.push({ ...data, timestamp: new Date().toISOString() });
+        // Only the tail of the log is useful when polling
+        if (session.log.length > 100) session.log.shift();
+      } else if (event === "progress" || event === "video-progress") {
+        session.progress = data;
+      } else if (event === "screenshot") {
+        session.results.push(data);
+      } else if (event === "site-tour") {
+        session.siteTour = data;
+      } else if (event === "complete") {
+        session.status = data.status;
+        session.results = data.results;
+      } else if (event === "video-complete") {
+        session.status = "completed";
+        session.results = [data];
+      } else if (event === "video-error") {
+        session.status = "failed";
+        session.error = data.error;
+      }
+
+      if (socket) socket.emit(event, data);
+
+      // summary.json is always written before these events
+      if (["complete", "video-complete", "video-error"].includes(event)) {
+        const dir = session.type === "video" ? videosDir : screenshotsDir;
+        const summaryPath = path.join(dir, session.id, "summary.json");
+        let summary = { status: session.status };
+        try {
+          if (fs.existsSync(summaryPath)) {
+            summary = JSON.parse(fs.readFileSync(summaryPath, "utf8"));
+          }
+        } catch (error) {
+          console.error(`Could not read ${summaryPath}: ${error.message}`);
+        }
+
+        sendWebhooks(`session.${summary.status}`, session.id, {
+          type: session.type,
+          summary,
+        });
+      }
+    },
+  };
+}
+
 // Utility to normalize URLs
 function normalizeUrl(url) {
   try {
@@ -61,6 +152,109 @@ function normalizeUrl(url) {
   }
 }
 
+// Common collection/listing path segments that indicate the next segment(s)
+// are items. Built once, getUrlPattern runs for every queued URL.
+const COLLECTION_PATHS = new Set([
+  // E-commerce
+  "product",
+  "products",
+  "item",
+  "items",
+  "category",
+  "categories",
+  "cat",
+  "collection",
+  "collections",
+  "shop",
+  "store",
+  "catalog",
+  "brand",
+  "brands",
+  "tag",
+  "tags",
+  // Content
+  "blog",
+  "blogs",
+  "post",
+  "posts",
+  "article",
+  "articles",
+  "news",
+  "page",
+  "pages",
+  "portfolio",
+  "project",
+  "projects",
+  "gallery",
+  "galleries",
+  "event",
+  "events",
+  "case-study",
+  "case-studies",
+  // Users/Authors
+  "author",
+  "authors",
+  "user",
+  "users",
+  "profile",
+  "profiles",
+  "team",
+  "member",
+  "members",
+  // Documentation
+  "docs",
+  "doc",
+  "documentation",
+  "guide",
+  "guides",
+  "tutorial",
+  "tutorials",
+  "lesson",
+  "lessons",
+  // Forums/Community
+  "topic",
+  "topics",
+  "thread",
+  "threads",
+  "forum",
+  "forums",
+  "discussion",
+  "discussions",
+  // Media
+  "video",
+  "videos",
+  "photo",
+  "photos",
+  "image",
+  "images",
+  // Real Estate / Listings
+  "property",
+  "properties",
+  "listing",
+  "listings",
+  "apartment",
+  "apartments",
+  "house",
+  "houses",
+  // Jobs
+  "job",
+  "jobs",
+  "career",
+  "careers",
+  "vacancy",
+  "vacancies",
+  // Services
+  "service",
+  "services",
+  // Localization
+  "location",
+  "locations",
+  "city",
+  "cities",
+  "region",
+  "regions",
+]);
+
 // Smart URL pattern detection
 // Converts URLs like /category/my-slug-123 to /category/{item}
 // This helps identify URLs that represent the same content type
@@ -69,108 +263,6 @@ function getUrlPattern(url) {
     const parsed = new URL(url);
     const pathSegments = parsed.pathname.split("/").filter(Boolean);
 
-    // Common collection/listing path segments that indicate the next segment(s) are items
-    const collectionPaths = new Set([
-      // E-commerce
-      "product",
-      "products",
-      "item",
-      "items",
-      "category",
-      "categories",
-      "cat",
-      "collection",
-      "collections",
-      "shop",
-      "store",
-      "catalog",
-      "brand",
-      "brands",
-      "tag",
-      "tags",
-      // Content
-      "blog",
-      "blogs",
-      "post",
-      "posts",
-      "article",
-      "articles",
-      "news",
-      "page",
-      "pages",
-      "portfolio",
-      "project",
-      "projects",
-      "gallery",
-      "galleries",
-      "event",
-      "events",
-      "case-study",
-      "case-studies",
-      // Users/Authors
-      "author",
-      "authors",
-      "user",
-      "users",
-      "profile",
-      "profiles",
-      "team",
-      "member",
-      "members",
-      // Documentation
-      "docs",
-      "doc",
-      "documentation",
-      "guide",
-      "guides",
-      "tutorial",
-      "tutorials",
-      "lesson",
-      "lessons",
-      // Forums/Community
-      "topic",
-      "topics",
-      "thread",
-      "threads",
-      "forum",
-      "forums",
-      "discussion",
-      "discussions",
-      // Media
-      "video",
-      "videos",
-      "photo",
-      "photos",
-      "image",
-      "images",
-      // Real Estate / Listings
-      "property",
-      "properties",
-      "listing",
-      "listings",
-      "apartment",
-      "apartments",
-      "house",
-      "houses",
-      // Jobs
-      "job",
-      "jobs",
-      "career",
-      "careers",
-      "vacancy",
-      "vacancies",
-      // Services
-      "service",
-      "services",
-      // Localization
-      "location",
-      "locations",
-      "city",
-      "cities",
-      "region",
-      "regions",
-    ]);
-
     // Track if previous segment was a collection path
     let afterCollectionPath = false;
 
@@ -178,7 +270,7 @@ function getUrlPattern(url) {
       const lowerSegment = segment.toLowerCase();
 
       // Check if this segment is a collection path indicator
-      if (collectionPaths.has(lowerSegment)) {
+      if (COLLECTION_PATHS.has(lowerSegment)) {
         afterCollectionPath = true;
         return segment; // Keep the collection path as-is
       }
@@ -242,12 +334,6 @@ function getUrlPattern(url) {
   }
 }
 
-// Check if a URL pattern has already been visited
-function isPatternVisited(url, visitedPatterns) {
-  const pattern = getUrlPattern(url);
-  return visitedPatterns.has(pattern);
-}
-
 // Mark a URL pattern as visited
 function markPatternVisited(url, visitedPatterns) {
   const pattern = getUrlPattern(url);
@@ -266,6 +352,58 @@ function isInternalUrl(baseUrl, testUrl) {
   }
 }
 
+// Compile an include/exclude rule: "re:" and a regular expression, or a glob
+// where * stays within one path segment and ** spans segments. Regexes need
+// the prefix, a glob like /admin/ must not turn into an unanchored "admin".
+function compileUrlPattern(pattern) {
+  if (pattern.startsWith("re:")) {
+    try {
+      return new RegExp(pattern.slice(3));
+    } catch (error) {
+      throw new Error(`Invalid URL pattern ${pattern}: ${error.message}`);
+    }
+  }
+
+  const source = pattern
+    .split("**")
+    .map((part) =>
+      part
+        .split("*")
+        .map((text) => text.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join("[^/]*")
+    )
+    .join(".*");
+  return new RegExp("^" + source + "$");
+}
+
+// Path and query of a URL, which is what scope rules match against
+function getUrlPathAndQuery(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.pathname + parsed.search;
+  } catch {
+    return url;
+  }
+}
+
+// Find the most specific path-prefix budget that applies to a URL
+function getPathBudgetPrefix(url, pathBudgets) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    return null;
+  }
+
+  let best = null;
+  for (const prefix of Object.keys(pathBudgets)) {
+    if (pathname.startsWith(prefix) && (!best || prefix.length > best.length)) {
+      best = prefix;
+    }
+  }
+  return best;
+}
+
 // Extract links from page
 async function extractLinks(page, baseUrl) {
   const links = await page.evaluate(() => {
@@ -295,9 +433,362 @@ async function extractLinks(page, baseUrl) {
   return [...new Set(internalLinks)];
 }
 
+// Fetch a text resource, transparently gunzipping .gz files
+async function fetchText(url, timeout = 30000, userAgent) {
+  const response = await fetch(url, {
+    signal: AbortSignal.timeout(timeout),
+    redirect: "follow",
+    headers: userAgent ? { "User-Agent": userAgent } : {},
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} for ${url}`);
+  }
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+  // Gzip magic bytes - servers don't always send a matching content-type
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return zlib.gunzipSync(buffer).toString("utf8");
+  }
+  return buffer.toString("utf8");
+}
+
+// Parse robots.txt into the rule group that applies to our user agent
+function parseRobotsTxt(text, userAgent = "*") {
+  const agent = userAgent.toLowerCase();
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) continue;
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === "sitemap") {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (field === "user-agent") {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === "allow" || field === "disallow") {
+      // An empty Disallow means everything is allowed
+      if (value) current.rules.push({ allow: field === "allow", path: value });
+    } else if (field === "crawl-delay") {
+      const delay = parseFloat(value);
+      if (!isNaN(delay)) current.crawlDelay = delay;
+    }
+  }
+
+  // Most specific user-agent match wins, falling back to the * group
+  let group = null;
+  let bestLength = -1;
+  for (const candidate of groups) {
+    for (const name of candidate.agents) {
+      if (name === "*" && bestLength < 0) {
+        group = candidate;
+        bestLength = 0;
+      } else if (
+        name !== "*" &&
+        agent.includes(name) &&
+        name.length > bestLength
+      ) {
+        group = candidate;
+        bestLength = name.length;
+      }
+    }
+  }
+
+  return {
+    rules: group ? group.rules : [],
+    crawlDelay: group ? group.crawlDelay : null,
+    sitemaps,
+  };
+}
+
+// Convert a robots.txt path pattern (supports * and $) to a RegExp
+function robotsPatternToRegex(pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp("^" + body + (anchored ? "$" : ""));
+}
+
+// Check a URL against robots.txt rules (longest match wins, Allow wins ties)
+function isAllowedByRobots(url, robots) {
+  if (!robots || robots.rules.length === 0) return true;
+
+  let target;
+  try {
+    const parsed = new URL(url);
+    target = parsed.pathname + parsed.search;
+  } catch {
+    return true;
+  }
+
+  let verdict = null;
+  for (const rule of robots.rules) {
+    if (!robotsPatternToRegex(rule.path).test(target)) continue;
+    if (
+      !verdict ||
+      rule.path.length > verdict.path.length ||
+      (rule.path.length === verdict.path.length && rule.allow)
+    ) {
+      verdict = rule;
+    }
+  }
+
+  return !verdict || verdict.allow;
+}
+
+// Fetch sitemap(s) and collect page URLs, following sitemap indexes
+async function fetchSitemapUrls(sitemapUrls, options = {}) {
+  const {
+    timeout = 30000,
+    maxUrls = 10000,
+    maxSitemaps = 50,
+    userAgent, // Sent with every sitemap request
+  } = options;
+
+  const pending = [...sitemapUrls];
+  const seen = new Set();
+  const urls = [];
+  const errors = [];
+
+  while (pending.length > 0 && seen.size < maxSitemaps) {
+    const sitemapUrl = pending.shift();
+    if (seen.has(sitemapUrl)) continue;
+    seen.add(sitemapUrl);
+
+    let xml;
+    try {
+      xml = await fetchText(sitemapUrl, timeout, userAgent);
+    } catch (error) {
+      errors.push({ url: sitemapUrl, error: error.message });
+      continue;
+    }
+
+    const locs = [...xml.matchAll(/<loc>\s*([\s\S]*?)\s*<\/loc>/gi)].map((m) =>
+      m[1]
+        .replace(/^<!\[CDATA\[|\]\]>$/g, "")
+        .replace(/&amp;/g, "&")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+    );
+
+    if (/<sitemapindex[\s>]/i.test(xml)) {
+      pending.push(...locs);
+    } else {
+      for (const loc of locs) {
+        if (urls.length >= maxUrls) break;
+        urls.push(loc);
+      }
+    }
+  }
+
+  return { urls, errors };
+}
+
+// Normalize a sameSite value from browser extension / DevTools cookie exports
+function normalizeSameSite(value) {
+  const sameSite = String(value || "").toLowerCase();
+  if (sameSite === "strict") return "Strict";
+  if (sameSite === "lax") return "Lax";
+  if (sameSite === "none" || sameSite === "no_restriction") return "None";
+  return undefined;
+}
+
+// Parse cookies from a JSON export or a Netscape cookies.txt file
+function parseCookies(input, defaultUrl) {
+  let cookies = [];
+
+  if (Array.isArray(input)) {
+    cookies = input;
+  } else if (typeof input === "string" && /^\s*[[{]/.test(input)) {
+    const parsed = JSON.parse(input);
+    cookies = Array.isArray(parsed) ? parsed : parsed.cookies || [];
+  } else if (typeof input === "string") {
+    for (const rawLine of input.split(/\r?\n/)) {
+      let line = rawLine.trim();
+      let httpOnly = false;
+
+      // curl marks HttpOnly cookies with a prefix on an otherwise commented line
+      if (line.startsWith("#HttpOnly_")) {
+        line = line.slice("#HttpOnly_".length);
+        httpOnly = true;
+      } else if (!line || line.startsWith("#")) {
+        continue;
+      }
+
+      const fields = line.split("\t");
+      if (fields.length < 7) continue;
+
+      const [domain, , cookiePath, secure, expires, name, ...value] = fields;
+      cookies.push({
+        domain,
+        path: cookiePath,
+        secure: secure.toUpperCase() === "TRUE",
+        expires: parseInt(expires) || undefined,
+        name,
+        value: value.join("\t"),
+        httpOnly,
+      });
+    }
+  }
+
+  return cookies
+    .filter((cookie) => cookie && cookie.name)
+    .map((cookie) => {
+      const expires = cookie.expires || cookie.expirationDate;
+      return {
+        name: String(cookie.name),
+        value: String(cookie.value ?? ""),
+        // Cookies without a domain are scoped to the crawled site
+        ...(cookie.domain
+          ? { domain: cookie.domain, path: cookie.path || "/" }
+          : { url: defaultUrl }),
+        ...(expires > 0 ? { expires: Math.floor(expires) } : {}),
+        httpOnly: Boolean(cookie.httpOnly),
+        secure: Boolean(cookie.secure),
+        sameSite: normalizeSameSite(cookie.sameSite),
+      };
+    });
+}
+
+// Run a declarative login step: fill fields, submit, then verify success
+async function performLogin(page, login, pageTimeout, socket) {
+  const {
+    url,
+    usernameSelector,
+    username,
+    passwordSelector,
+    password,
+    fields = [], // Extra { selector, value } inputs to fill
+    submitSelector,
+    successSelector, // Element that only exists when logged in
+    successUrl, // Text the post-login URL must contain
+  } = login;
+
+  socket.emit("status", { type: "info", message: `Logging in at: ${url}` });
+
+  await page.goto(url, { waitUntil: "networkidle2", timeout: pageTimeout });
+
+  const inputs = [
+    ...(usernameSelector
+      ? [{ selector: usernameSelector, value: username }]
+      : []),
+    ...(passwordSelector
+      ? [{ selector: passwordSelector, value: password }]
+      : []),
+    ...fields,
+  ];
+
+  for (const { selector, value } of inputs) {
+    await page.waitForSelector(selector, { timeout: pageTimeout });
+    // Clear any prefilled value before typing
+    await page.$eval(selector, (el) => {
+      el.value = "";
+    });
+    await page.type(selector, String(value ?? ""));
+  }
+
+  // Submitting may or may not navigate (SPAs often don't)
+  const navigation = page
+    .waitForNavigation({ waitUntil: "networkidle2", timeout: pageTimeout })
+    .catch(() => null);
+  if (submitSelector) {
+    await page.click(submitSelector);
+  } else {
+    await page.keyboard.press("Enter");
+  }
+  await navigation;
+
+  if (successSelector) {
+    try {
+      await page.waitForSelector(successSelector, { timeout: pageTimeout });
+    } catch {
+      throw new Error(`Login failed: "${successSelector}" not found`);
+    }
+  }
+  if (successUrl && !page.url().includes(successUrl)) {
+    throw new Error(`Login failed: ended on ${page.url()}`);
+  }
+
+  socket.emit("status", { type: "success", message: "Logged in" });
+}
+
+// Apply HTTP auth and cookies to every tab, then log in once
+// (tabs share one browser context, so the session carries over)
+async function setupAuthentication(pages, url, options, socket) {
+  const { httpAuth, cookies, login, pageTimeout = 30000 } = options;
+
+  if (httpAuth && httpAuth.username) {
+    for (const page of pages) {
+      await page.authenticate({
+        username: httpAuth.username,
+        password: httpAuth.password || "",
+      });
+    }
+  }
+
+  if (cookies && cookies.length > 0) {
+    const parsed = parseCookies(cookies, url);
+    await pages[0].setCookie(...parsed);
+    socket.emit("status", {
+      type: "info",
+      message: `Imported ${parsed.length} cookies`,
+    });
+  }
+
+  if (login && login.url) {
+    await performLogin(pages[0], login, pageTimeout, socket);
+  }
+}
+
+// Strip credentials from options before they're written to summary.json
+function redactOptions(options) {
+  const { httpAuth, cookies, login, ...rest } = options;
+  if (!httpAuth && !cookies && !login) return rest;
+
+  return {
+    ...rest,
+    auth: {
+      httpAuth: Boolean(httpAuth && httpAuth.username),
+      cookies: Boolean(cookies && cookies.length > 0),
+      login: login && login.url ? login.url : null,
+    },
+  };
+}
+
 // Take full page screenshot with scrolling
 async function takeFullPageScreenshot(page, filepath, options = {}) {
-  const { scrollDelay = 100 } = options;
+  const {
+    scrollDelay = 100,
+    format = "png",
+    quality = 80,
+    thumbnailPath = null,
+    thumbnailWidth = 400,
+  } = options;
 
   // Scroll through the page to trigger lazy loading
   await page.evaluate(async (delay) => {
@@ -321,236 +812,1477 @@ async function takeFullPageScreenshot(page, filepath, options = {}) {
   // Wait a bit for any final renders
   await new Promise((r) => setTimeout(r, 500));
 
-  // Take full page screenshot
+  // Take full page screenshot (PNG is lossless and takes no quality)
   await page.screenshot({
     path: filepath,
     fullPage: true,
-    type: "png",
+    type: format,
+    ...(format !== "png" && { quality }),
   });
+
+  // Small JPEG of the first screen for the results grid and history
+  if (thumbnailPath) {
+    const { width, height, deviceScaleFactor = 1 } = page.viewport();
+    await page.screenshot({
+      path: thumbnailPath,
+      type: "jpeg",
+      quality: 70,
+      clip: {
+        x: 0,
+        y: 0,
+        width,
+        height,
+        scale: Math.min(1, thumbnailWidth / (width * deviceScaleFactor)),
+      },
+    });
+  }
 }
 
-// Ensure videos directory exists
-const videosDir = path.join(__dirname, "videos");
-if (!fs.existsSync(videosDir)) {
-  fs.mkdirSync(videosDir, { recursive: true });
+// Consent managers recognised by dismissConsent: the banner that shows one
+// is present, and its accept and reject buttons
+const CONSENT_MANAGERS = [
+  {
+    name: "OneTrust",
+    banner: "#onetrust-banner-sdk",
+    accept: "#onetrust-accept-btn-handler",
+    reject: "#onetrust-reject-all-handler",
+  },
+  {
+    name: "Cookiebot",
+    banner: "#CybotCookiebotDialog",
+    accept:
+      "#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll, #CybotCookiebotDialogBodyButtonAccept",
+    reject: "#CybotCookiebotDialogBodyButtonDecline",
+  },
+  {
+    name: "Didomi",
+    banner: "#didomi-notice",
+    accept: "#didomi-notice-agree-button",
+    reject: "#didomi-notice-disagree-button",
+  },
+  {
+    name: "Quantcast",
+    banner: ".qc-cmp2-container",
+    accept: '.qc-cmp2-summary-buttons button[mode="primary"]',
+    reject: '.qc-cmp2-summary-buttons button[mode="secondary"]',
+  },
+  {
+    name: "TrustArc",
+    banner: "#truste-consent-track",
+    accept: "#truste-consent-button",
+    reject: "#truste-consent-required",
+  },
+  {
+    name: "Osano",
+    banner: ".osano-cm-dialog",
+    accept: ".osano-cm-accept-all",
+    reject: ".osano-cm-denyAll",
+  },
+  {
+    name: "CookieYes",
+    banner: ".cky-consent-container",
+    accept: ".cky-btn-accept",
+    reject: ".cky-btn-reject",
+  },
+  {
+    name: "Complianz",
+    banner: ".cmplz-cookiebanner",
+    accept: ".cmplz-accept",
+    reject: ".cmplz-deny",
+  },
+  {
+    name: "iubenda",
+    banner: "#iubenda-cs-banner",
+    accept: ".iubenda-cs-accept-btn",
+    reject: ".iubenda-cs-reject-btn",
+  },
+];
+
+// Click the accept or reject button of a consent banner in one frame. Known
+// managers come first, then any button labelled like one inside an element
+// whose id or class mentions cookies or consent. Runs in the page.
+function clickConsentButton({ managers, action }) {
+  const isVisible = (element) => {
+    const rect = element.getBoundingClientRect();
+    const style = getComputedStyle(element);
+    return (
+      rect.width > 0 &&
+      rect.height > 0 &&
+      style.display !== "none" &&
+      style.visibility !== "hidden"
+    );
+  };
+
+  for (const manager of managers) {
+    const banner = document.querySelector(manager.banner);
+    if (!banner || !isVisible(banner)) continue;
+    const button = document.querySelector(manager[action]);
+    if (!button) return { manager: manager.name, action: null };
+    button.click();
+    return { manager: manager.name, action };
+  }
+
+  const labels = {
+    accept: /^(accept|agree|allow all|i agree|got it|ok(ay)?)\b/i,
+    reject: /^(reject|decline|deny|refuse|(use )?(only )?necessary)/i,
+  };
+  const container = ["cookie", "consent", "gdpr"]
+    .map((word) => `[id*="${word}" i], [class*="${word}" i]`)
+    .join(", ");
+  const buttons = document.querySelectorAll(
+    'button, [role="button"], input[type="button"], input[type="submit"]'
+  );
+  for (const button of buttons) {
+    const label = (button.innerText || button.value || "").trim();
+    if (label.length > 40 || !labels[action].test(label)) continue;
+    if (!button.closest(container) || !isVisible(button)) continue;
+    button.click();
+    return { manager: "generic", action };
+  }
+  return null;
 }
 
-// Record video of page with scrolling
-async function recordPageVideo(page, filepath, options = {}, socket = null) {
+// Check the selector options, throwing when one has the wrong shape. A string
+// instead of an array would otherwise be used one character at a time.
+function validateSelectorOptions(options = {}) {
   const {
-    scrollSpeed = 50, // Pixels per frame
-    frameRate = 30, // FPS
-    videoDuration = "auto", // 'auto' or seconds
-    pauseAtTop = 1000, // ms to pause at top
-    pauseAtBottom = 1000, // ms to pause at bottom
+    hideSelectors = [],
+    removeSelectors = [],
+    elementSelectors = {},
   } = options;
 
-  const tempDir = filepath.replace(".webm", "_frames");
-
-  // Create temp frames directory
-  if (!fs.existsSync(tempDir)) {
-    fs.mkdirSync(tempDir, { recursive: true });
+  for (const [name, selectors] of Object.entries({
+    hideSelectors,
+    removeSelectors,
+  })) {
+    if (
+      !Array.isArray(selectors) ||
+      selectors.some((selector) => typeof selector !== "string")
+    ) {
+      throw new Error(`${name} must be an array of CSS selectors`);
+    }
   }
+  if (
+    !elementSelectors ||
+    typeof elementSelectors !== "object" ||
+    Array.isArray(elementSelectors) ||
+    Object.values(elementSelectors).some(
+      (selector) => typeof selector !== "string" || !selector.trim()
+    )
+  ) {
+    throw new Error("elementSelectors must map names to CSS selectors");
+  }
+}
 
-  try {
-    if (socket)
-      socket.emit("status", {
-        type: "info",
-        message: "Starting video capture...",
-      });
+// Get a page ready for capture: answer its consent banner, hide or remove
+// elements such as chat widgets, then apply the crawl's own CSS and script.
+// Returns what was done, to be saved with the page result.
+async function preparePageForCapture(page, options = {}) {
+  const {
+    dismissConsent = null,
+    hideSelectors = [],
+    removeSelectors = [],
+    injectCss = "",
+    injectScript = "",
+    pageTimeout = 30000,
+  } = options;
+  const cleanup = {};
+
+  if (dismissConsent) {
+    // Some managers load their banner in an iframe
+    let consent = null;
+    for (const frame of page.frames()) {
+      consent = await frame
+        .evaluate(clickConsentButton, {
+          managers: CONSENT_MANAGERS,
+          action: dismissConsent,
+        })
+        .catch(() => null);
+      if (consent) break;
+    }
+    cleanup.consent = consent || { manager: null, action: null };
 
-    // Get page dimensions
-    const dimensions = await page.evaluate(() => ({
-      scrollHeight: document.body.scrollHeight,
-      clientHeight: window.innerHeight,
-      scrollWidth: document.body.scrollWidth,
-    }));
+    // Let the banner animate away, some managers also reload the page
+    if (consent && consent.action) {
+      await page
+        .waitForNetworkIdle({ idleTime: 500, timeout: 5000 })
+        .catch(() => {});
+    }
+  }
+
+  if (hideSelectors.length > 0 || removeSelectors.length > 0) {
+    // Hidden elements stay hidden even when they're added later, e.g. chat
+    // widgets that load on scroll. Each selector is its own rule so an
+    // invalid one doesn't disable the rest, and a constructed stylesheet
+    // isn't blocked by the page's Content-Security-Policy like <style> is.
+    const result = await page.evaluate(
+      ({ hide, remove }) => {
+        const sheet = new CSSStyleSheet();
+        document.adoptedStyleSheets = [...document.adoptedStyleSheets, sheet];
+        const invalidSelectors = [];
+        let hiddenElements = 0;
+        let removedElements = 0;
+
+        for (const selector of hide) {
+          try {
+            hiddenElements += document.querySelectorAll(selector).length;
+            sheet.insertRule(
+              `${selector} { visibility: hidden !important; }`,
+              sheet.cssRules.length
+            );
+          } catch {
+            invalidSelectors.push(selector);
+          }
+        }
+        for (const selector of remove) {
+          try {
+            const elements = document.querySelectorAll(selector);
+            elements.forEach((element) => element.remove());
+            removedElements += elements.length;
+          } catch {
+            invalidSelectors.push(selector);
+          }
+        }
+        return { hiddenElements, removedElements, invalidSelectors };
+      },
+      { hide: hideSelectors, remove: removeSelectors }
+    );
+    Object.assign(cleanup, result);
+  }
 
-    const totalScroll = dimensions.scrollHeight - dimensions.clientHeight;
-    const frameDelay = 1000 / frameRate;
+  // Reported like script errors, the page is still worth capturing
+  if (injectCss) {
+    try {
+      await page.evaluate((css) => {
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(css);
+        document.adoptedStyleSheets = [...document.adoptedStyleSheets, sheet];
+      }, injectCss);
+      cleanup.cssError = null;
+    } catch (error) {
+      cleanup.cssError = error.message;
+    }
+  }
 
-    let frameCount = 0;
+  // Run as an async function so the script can await, e.g. for an accordion
+  // to open. A failing or hanging script is reported instead of failing the
+  // page.
+  if (injectScript) {
+    let timer;
+    try {
+      await Promise.race([
+        page.evaluate(`(async () => {\n${injectScript}\n})()`),
+        new Promise((_, reject) => {
+          timer = setTimeout(
+            () => reject(new Error(`Timed out after ${pageTimeout}ms`)),
+            pageTimeout
+          );
+        }),
+      ]);
+      cleanup.scriptError = null;
+    } catch (error) {
+      cleanup.scriptError = error.message;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
 
-    // Scroll to top first
-    await page.evaluate(() => window.scrollTo(0, 0));
-    await new Promise((r) => setTimeout(r, 500));
+  return cleanup;
+}
 
-    // Capture frames at the top (pause)
-    const framesAtPause = Math.ceil((pauseAtTop / 1000) * frameRate);
-    for (let i = 0; i < framesAtPause; i++) {
-      const framePath = path.join(
-        tempDir,
-        `frame_${String(frameCount).padStart(6, "0")}.png`
-      );
-      await page.screenshot({ path: framePath, type: "png" });
-      frameCount++;
+// Capture the elements matching each named selector as their own images,
+// e.g. { header: "header", pricing: ".pricing-table" } saves page_N_header.png.
+// Returns the images for the page result and any selectors that didn't parse.
+async function captureElements(page, selectors, options) {
+  const { dir, urlPath, prefix, format, extension, quality, limit } = options;
+  const elements = [];
+  const invalidSelectors = [];
+
+  const entries = Object.entries(selectors);
+  for (const [position, [name, selector]] of entries.entries()) {
+    let handles;
+    try {
+      handles = (await page.$$(selector)).slice(0, limit);
+    } catch {
+      invalidSelectors.push(selector);
+      continue;
     }
 
-    if (socket)
-      socket.emit("status", {
-        type: "info",
-        message: "Capturing scroll frames...",
-      });
+    // The _el_ prefix and selector number keep names apart from other page
+    // files and from each other, even when names differ only in case or
+    // have no usable characters at all (e.g. page_3_el_2_pricing.png)
+    const slug = name
+      .replace(/[^a-z0-9-]+/gi, "-")
+      .replace(/^-+|-+$/g, "")
+      .toLowerCase();
+    const base = `${prefix}_el_${position + 1}${slug ? `_${slug}` : ""}`;
+    for (const [index, handle] of handles.entries()) {
+      const number = handles.length > 1 ? `_${index + 1}` : "";
+      const filename = `${base}${number}.${extension}`;
+      try {
+        const box = await handle.boundingBox();
+        if (!box) throw new Error("Element is not visible");
+        await handle.screenshot({
+          path: path.join(dir, filename),
+          type: format,
+          ...(format !== "png" && { quality }),
+        });
+        elements.push({
+          name,
+          selector,
+          screenshot: `${urlPath}/${filename}`,
+          width: Math.round(box.width),
+          height: Math.round(box.height),
+        });
+      } catch (error) {
+        // Hidden or zero-sized matches can't be captured
+        elements.push({ name, selector, error: error.message });
+      } finally {
+        await handle.dispose();
+      }
+    }
+  }
 
-    // Calculate frames needed for scrolling
-    const scrollFrames = Math.ceil(totalScroll / scrollSpeed);
+  return { elements, invalidSelectors };
+}
 
-    for (let i = 0; i <= scrollFrames; i++) {
-      const scrollY = Math.min(i * scrollSpeed, totalScroll);
+// axe-core impact levels, most severe first
+const IMPACTS = ["critical", "serious", "moderate", "minor"];
+const MAX_VIOLATION_SELECTORS = 25; // Per rule, the node count has the rest
+
+// Run axe-core in the page and return its violations with their impact, rule
+// and the selectors of the failing elements
+async function runAccessibilityAudit(page) {
+  // Evaluated as a string so the page's CSP can't block it
+  await page.evaluate(axe.source);
+  const violations = await page.evaluate(async (maxSelectors) => {
+    const results = await window.axe.run(document, {
+      iframes: false,
+      resultTypes: ["violations"],
+    });
+    return results.violations.map((violation) => ({
+      rule: violation.id,
+      impact: violation.impact,
+      help: violation.help,
+      helpUrl: violation.helpUrl,
+      nodes: violation.nodes.length,
+      // Shadow DOM targets are lists of selectors, one per shadow root
+      selectors: violation.nodes
+        .slice(0, maxSelectors)
+        .map((node) =>
+          node.target
+            .map((part) => (Array.isArray(part) ? part.join(" >>> ") : part))
+            .join(" ")
+        ),
+    }));
+  }, MAX_VIOLATION_SELECTORS);
 
-      await page.evaluate((y) => window.scrollTo(0, y), scrollY);
-      await new Promise((r) => setTimeout(r, frameDelay / 2)); // Small delay for render
+  violations.sort(
+    (a, b) => IMPACTS.indexOf(a.impact) - IMPACTS.indexOf(b.impact)
+  );
+  return {
+    total: violations.length,
+    byImpact: countImpacts(violations),
+    violations,
+  };
+}
 
-      const framePath = path.join(
-        tempDir,
-        `frame_${String(frameCount).padStart(6, "0")}.png`
-      );
-      await page.screenshot({ path: framePath, type: "png" });
-      frameCount++;
+// Violated rules per impact level, e.g. { critical: 1, serious: 0, ... }
+function countImpacts(violations) {
+  const counts = Object.fromEntries(IMPACTS.map((impact) => [impact, 0]));
+  for (const violation of violations) {
+    if (violation.impact in counts) counts[violation.impact]++;
+  }
+  return counts;
+}
 
-      // Progress update every 20 frames
-      if (socket && i % 20 === 0) {
-        const progress = Math.round((i / scrollFrames) * 100);
-        socket.emit("video-progress", { progress, frames: frameCount });
-      }
+// Site-wide accessibility rollup for summary.json: totals, and each rule with
+// the number of pages and elements it failed on. byImpact counts violated
+// rules, like it does for a single page.
+function summarizeAccessibility(results) {
+  const audited = results.filter(
+    (result) => result.accessibility && !result.accessibility.error
+  );
+  const rules = new Map();
+  for (const result of audited) {
+    for (const violation of result.accessibility.violations) {
+      const rule = rules.get(violation.rule) || {
+        rule: violation.rule,
+        impact: violation.impact,
+        help: violation.help,
+        helpUrl: violation.helpUrl,
+        pages: 0,
+        nodes: 0,
+      };
+      rule.pages++;
+      rule.nodes += violation.nodes;
+      rules.set(violation.rule, rule);
     }
+  }
 
-    // Capture frames at the bottom (pause)
-    for (let i = 0; i < framesAtPause; i++) {
-      const framePath = path.join(
-        tempDir,
-        `frame_${String(frameCount).padStart(6, "0")}.png`
-      );
-      await page.screenshot({ path: framePath, type: "png" });
-      frameCount++;
-    }
+  const rollup = [...rules.values()].sort(
+    (a, b) =>
+      IMPACTS.indexOf(a.impact) - IMPACTS.indexOf(b.impact) || b.pages - a.pages
+  );
+  return {
+    pagesAudited: audited.length,
+    pagesWithViolations: audited.filter(
+      (result) => result.accessibility.total > 0
+    ).length,
+    totalViolations: audited.reduce(
+      (total, result) => total + result.accessibility.total,
+      0
+    ),
+    violatedRules: rollup.length,
+    byImpact: countImpacts(rollup),
+    rules: rollup,
+  };
+}
 
-    if (socket)
-      socket.emit("status", {
-        type: "info",
-        message: `Captured ${frameCount} frames. Encoding video...`,
-      });
+// Screenshot formats and the file extension each one is saved with
+const SCREENSHOT_FORMATS = { png: "png", jpeg: "jpg", webp: "webp" };
+
+// Validate the screenshot format options, returning the file extension
+function getScreenshotExtension(options) {
+  const { screenshotFormat = "png", screenshotQuality = 80 } = options;
+  const extension = SCREENSHOT_FORMATS[screenshotFormat];
+  if (!extension) {
+    const formats = Object.keys(SCREENSHOT_FORMATS).join(", ");
+    throw new Error(
+      `Unknown screenshot format "${screenshotFormat}" (use ${formats})`
+    );
+  }
+  const quality = Number(screenshotQuality);
+  if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+    throw new Error("Screenshot quality must be a whole number from 1 to 100");
+  }
+  return extension;
+}
 
-    // Encode video with ffmpeg
-    await new Promise((resolve, reject) => {
-      const ffmpegArgs = [
-        "-y", // Overwrite output
-        "-framerate",
-        String(frameRate), // Input framerate
-        "-i",
-        path.join(tempDir, "frame_%06d.png"), // Input pattern
-        "-c:v",
-        "libvpx-vp9", // VP9 codec for WebM
-        "-b:v",
-        "2M", // Bitrate
-        "-pix_fmt",
-        "yuva420p", // Pixel format
-        "-auto-alt-ref",
-        "0", // For better compatibility
-        filepath, // Output file
-      ];
-
-      const ffmpeg = spawn(ffmpegPath, ffmpegArgs);
-
-      let stderr = "";
-      ffmpeg.stderr.on("data", (data) => {
-        stderr += data.toString();
-      });
+// Fill in defaults for a viewport from crawl options
+function normalizeViewport(viewport) {
+  return {
+    ...viewport,
+    width: parseInt(viewport.width) || 1920,
+    height: parseInt(viewport.height) || 1080,
+    deviceScaleFactor: parseFloat(viewport.deviceScaleFactor) || 1,
+  };
+}
 
-      ffmpeg.on("close", (code) => {
-        if (code === 0) {
-          resolve();
-        } else {
-          // Try fallback with simpler encoding
-          if (socket)
-            socket.emit("status", {
-              type: "warning",
-              message: "Trying alternative encoding...",
-            });
+// Screenshot filename, suffixed with the viewport when capturing several
+// (e.g. page_3_375x812.png or page_3_375x812@2x.png)
+function getScreenshotFilename(
+  pageNumber,
+  viewport,
+  multiViewport,
+  extension = "png"
+) {
+  if (!multiViewport) return `page_${pageNumber}.${extension}`;
+  const scale =
+    viewport.deviceScaleFactor !== 1 ? `@${viewport.deviceScaleFactor}x` : "";
+  // Height too, 1280x720 and 1280x1024 would otherwise share a file
+  const size = `${viewport.width}x${viewport.height}`;
+  return `page_${pageNumber}_${size}${scale}.${extension}`;
+}
 
-          const fallbackArgs = [
-            "-y",
-            "-framerate",
-            String(frameRate),
-            "-i",
-            path.join(tempDir, "frame_%06d.png"),
-            "-c:v",
-            "libx264",
-            "-pix_fmt",
-            "yuv420p",
-            "-movflags",
-            "+faststart",
-            filepath.replace(".webm", ".mp4"),
-          ];
-
-          const ffmpegFallback = spawn(ffmpegPath, fallbackArgs);
-          ffmpegFallback.on("close", (fallbackCode) => {
-            if (fallbackCode === 0) {
-              resolve();
-            } else {
-              reject(
-                new Error(
-                  `FFmpeg failed with code ${code}. Make sure ffmpeg is installed.`
-                )
-              );
-            }
-          });
-        }
-      });
+// Ensure videos directory exists
+const videosDir = path.join(__dirname, "videos");
+if (!fs.existsSync(videosDir)) {
+  fs.mkdirSync(videosDir, { recursive: true });
+}
 
-      ffmpeg.on("error", (err) => {
-        reject(
-          new Error(
-            `FFmpeg not found. Please install ffmpeg. Error: ${err.message}`
-          )
-        );
+// Output formats for recorded videos. crf/bitrate build the rate control
+// arguments, formats without them ignore the quality options.
+const VIDEO_FORMATS = {
+  webm: {
+    extension: ".webm",
+    encoder: "libvpx-vp9",
+    codec: "VP9",
+    args: ["-c:v", "libvpx-vp9", "-pix_fmt", "yuva420p", "-auto-alt-ref", "0"],
+    defaultBitrate: "2M",
+    crf: (value) => ["-crf", String(value), "-b:v", "0"], // Constant quality
+    bitrate: (value) => ["-b:v", String(value)],
+  },
+  mp4: {
+    extension: ".mp4",
+    encoder: "libx264",
+    codec: "H.264",
+    args: ["-c:v", "libx264", "-pix_fmt", "yuv420p", "-movflags", "+faststart"],
+    evenDimensions: true, // yuv420p
+    defaultCrf: 23,
+    crf: (value) => ["-crf", String(value)],
+    bitrate: (value) => ["-b:v", String(value)],
+  },
+  gif: {
+    extension: ".gif",
+    encoder: "gif",
+    codec: "GIF",
+    args: ["-c:v", "gif", "-loop", "0"],
+    // One palette for the whole clip instead of the generic one, see
+    // encodeWithPalette
+    palette: true,
+  },
+  webp: {
+    extension: ".webp",
+    encoder: "libwebp",
+    codec: "WebP",
+    args: ["-c:v", "libwebp", "-lossless", "0", "-quality", "80", "-loop", "0"],
+  },
+};
+
+// List the encoders this ffmpeg build provides, once
+let ffmpegEncodersPromise = null;
+function getFfmpegEncoders() {
+  if (!ffmpegEncodersPromise) {
+    ffmpegEncodersPromise = new Promise((resolve, reject) => {
+      execFile(ffmpegPath, ["-hide_banner", "-encoders"], (err, stdout) => {
+        if (err) {
+          reject(
+            new Error(
+              `FFmpeg not found. Please install ffmpeg. Error: ${err.message}`
+            )
+          );
+        } else {
+          resolve(stdout);
+        }
       });
+    }).catch((err) => {
+      ffmpegEncodersPromise = null; // Try again once ffmpeg is installed
+      throw err;
     });
-
-    if (socket)
-      socket.emit("status", {
-        type: "success",
-        message: "Video encoding complete!",
-      });
-
-    // Clean up temp frames
-    const frames = fs.readdirSync(tempDir);
-    for (const frame of frames) {
-      fs.unlinkSync(path.join(tempDir, frame));
-    }
-    fs.rmdirSync(tempDir);
-
-    return { success: true, frameCount, filepath };
-  } catch (error) {
-    // Clean up on error
-    if (fs.existsSync(tempDir)) {
-      try {
-        const frames = fs.readdirSync(tempDir);
-        for (const frame of frames) {
-          fs.unlinkSync(path.join(tempDir, frame));
-        }
-        fs.rmdirSync(tempDir);
-      } catch (e) {
-        // ignore cleanup errors
-      }
-    }
-    throw error;
   }
+  return ffmpegEncodersPromise;
 }
 
-// Record video of a single URL
-async function recordSinglePageVideo(sessionId, url, options, socket) {
-  const session = activeSessions.get(sessionId);
-  if (!session) return;
+// Check the video encoding options without running ffmpeg, returning the
+// format's entry in VIDEO_FORMATS
+function getVideoFormat(options = {}) {
+  const {
+    videoFormat = "webm",
+    videoCrf = null,
+    videoBitrate = null,
+    videoScale = 1,
+  } = options;
+
+  const format = VIDEO_FORMATS[videoFormat];
+  if (!format) {
+    const formats = Object.keys(VIDEO_FORMATS).join(", ");
+    throw new Error(`Unknown video format "${videoFormat}" (use ${formats})`);
+  }
+  if (videoCrf !== null && !(Number.isInteger(videoCrf) && videoCrf >= 0)) {
+    throw new Error("videoCrf must be a whole number of 0 or more");
+  }
+  if (videoBitrate !== null && !/^\d+(\.\d+)?[kKmM]?$/.test(videoBitrate)) {
+    throw new Error(`Invalid video bitrate "${videoBitrate}", e.g. 2M`);
+  }
+  if (!(videoScale > 0 && videoScale <= 1)) {
+    throw new Error("videoScale must be greater than 0 and at most 1");
+  }
+  return format;
+}
+
+// Resolve the video output options into ffmpeg output arguments, filters and
+// the settings recorded in summaries. Frames are streamed into ffmpeg, so an
+// unusable format has to be rejected before capture starts.
+async function getVideoEncoder(options = {}) {
+  const {
+    videoFormat = "webm", // webm, mp4, gif or webp
+    videoCrf = null, // Constant quality, lower is better
+    videoBitrate = null, // e.g. "2M", used when no CRF is given
+    videoScale = 1, // Output size relative to the captured frames
+  } = options;
+
+  const format = getVideoFormat(options);
+  const encoders = await getFfmpegEncoders();
+  if (!new RegExp(`^\\s*\\S+\\s+${format.encoder}\\s`, "m").test(encoders)) {
+    throw new Error(
+      `This FFmpeg build cannot encode ${format.codec} (${format.encoder})`
+    );
+  }
+
+  const args = [...format.args];
+  const settings = { format: videoFormat, codec: format.codec };
+  if (format.crf && videoCrf !== null) {
+    args.push(...format.crf(videoCrf));
+    settings.crf = videoCrf;
+  } else if (format.bitrate && (videoBitrate || format.defaultBitrate)) {
+    settings.bitrate = videoBitrate || format.defaultBitrate;
+    args.push(...format.bitrate(settings.bitrate));
+  } else if (format.crf && format.defaultCrf !== undefined) {
+    args.push(...format.crf(format.defaultCrf));
+    settings.crf = format.defaultCrf;
+  }
+
+  const filters = [];
+  if (videoScale !== 1 || format.evenDimensions) {
+    const size = (side) => `trunc(${side}*${videoScale}/2)*2`;
+    filters.push(`scale=${size("iw")}:${size("ih")}`);
+  }
+  if (videoScale !== 1) settings.scale = videoScale;
+
+  return {
+    extension: format.extension,
+    args,
+    filters,
+    settings,
+    palette: Boolean(format.palette),
+  };
+}
+
+// Resolve once ffmpeg exits cleanly, rejecting with the last line of its
+// output when it fails
+function waitForFfmpeg(ffmpeg) {
+  return new Promise((resolve, reject) => {
+    let stderr = "";
+    ffmpeg.stderr.on("data", (data) => {
+      stderr = (stderr + data.toString()).slice(-4096);
+    });
+
+    ffmpeg.on("close", (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        const reason = stderr.trim().split("\n").pop();
+        reject(new Error(`FFmpeg failed with code ${code}: ${reason}`));
+      }
+    });
+
+    ffmpeg.on("error", (err) => {
+      reject(
+        new Error(
+          `FFmpeg not found. Please install ffmpeg. Error: ${err.message}`
+        )
+      );
+    });
+  });
+}
+
+// Run ffmpeg, rejecting with the last line of its output when it fails
+function runFfmpeg(args) {
+  return waitForFfmpeg(spawn(ffmpegPath, args));
+}
+
+// Composite still overlays ({ file, x, y, opacity }) onto input 0, then apply
+// the output format's filters
+function buildOverlayFilter(overlays, filters) {
+  const chain = [];
+  let label = "0:v";
+  overlays.forEach((overlay, index) => {
+    let source = `${index + 1}:v`;
+    if (overlay.opacity !== undefined && overlay.opacity < 1) {
+      const fade = `format=rgba,colorchannelmixer=aa=${overlay.opacity}`;
+      chain.push(`[${source}]${fade}[f${index}]`);
+      source = `f${index}`;
+    }
+    chain.push(
+      `[${label}][${source}]overlay=${overlay.x}:${overlay.y}[o${index}]`
+    );
+    label = `o${index}`;
+  });
+  chain.push(`[${label}]${filters.join(",") || "null"}[out]`);
+  return chain.join(";");
+}
+
+// Convert a lossless recording to a palette format in two passes, one that
+// builds a palette for the whole clip and one that maps every frame to it.
+// Both stream, unlike split and palettegen in one filter graph, which keeps
+// every frame in memory until the input ends.
+async function encodeWithPalette(inputPath, outputPath, args) {
+  const palettePath = inputPath.replace(/\.\w+$/, "_palette.png");
+  try {
+    await runFfmpeg(["-y", "-i", inputPath, "-vf", "palettegen", palettePath]);
+    await runFfmpeg([
+      "-y",
+      "-i",
+      inputPath,
+      "-i",
+      palettePath,
+      "-lavfi",
+      "paletteuse",
+      ...args,
+      outputPath,
+    ]);
+  } finally {
+    fs.rmSync(inputPath, { force: true });
+    fs.rmSync(palettePath, { force: true });
+  }
+}
+
+// Start an ffmpeg process that encodes PNG frames written to its stdin.
+// onEncoded is called with the number of frames encoded so far. Palette
+// formats are first written to a lossless FFV1 file and converted on finish.
+function startFrameEncoder(
+  outputPath,
+  encoder,
+  frameRate,
+  onEncoded,
+  overlays = []
+) {
+  const filterArgs =
+    overlays.length > 0
+      ? [
+          "-filter_complex",
+          buildOverlayFilter(overlays, encoder.filters),
+          "-map",
+          "[out]",
+        ]
+      : encoder.filters.length > 0
+      ? ["-vf", encoder.filters.join(",")]
+      : [];
+  // The FFV1 file isn't capped, it grows with the frame size and length of
+  // the recording. Scaling is applied before it, so videoScale and
+  // maxDuration are what keep it small.
+  const framesPath = encoder.palette
+    ? outputPath.replace(/\.\w+$/, "_frames.mkv")
+    : outputPath;
+
+  const ffmpeg = spawn(ffmpegPath, [
+    "-y", // Overwrite output
+    "-f",
+    "image2pipe",
+    "-framerate",
+    String(frameRate), // Input framerate
+    "-c:v",
+    "png",
+    "-i",
+    "pipe:0", // Frames arrive on stdin
+    ...overlays.flatMap((overlay) => ["-i", overlay.file]),
+    ...filterArgs,
+    ...(encoder.palette ? ["-c:v", "ffv1"] : encoder.args),
+    "-progress",
+    "pipe:1", // Machine readable progress on stdout
+    "-nostats",
+    framesPath,
+  ]);
+
+  const finished = waitForFfmpeg(ffmpeg);
+  finished.catch(() => {}); // Surfaced by write() or finish()
+  ffmpeg.stdin.on("error", () => {}); // EPIPE when ffmpeg exits early
+
+  ffmpeg.stdout.on("data", (data) => {
+    const matches = [...data.toString().matchAll(/^frame=(\d+)/gm)];
+    if (matches.length > 0) {
+      onEncoded(parseInt(matches[matches.length - 1][1]));
+    }
+  });
+
+  return {
+    // Waits while ffmpeg catches up so at most a few frames are buffered
+    async write(frame) {
+      if (ffmpeg.stdin.write(frame)) return;
+      await Promise.race([
+        new Promise((resolve) => ffmpeg.stdin.once("drain", resolve)),
+        finished.then(() => {
+          throw new Error("FFmpeg exited before all frames were written");
+        }),
+      ]);
+    },
+    async finish() {
+      ffmpeg.stdin.end();
+      await finished;
+      if (encoder.palette) {
+        await encodeWithPalette(framesPath, outputPath, encoder.args);
+      }
+    },
+    async abort() {
+      ffmpeg.kill("SIGKILL");
+      await finished.catch(() => {});
+      if (encoder.palette) fs.rmSync(framesPath, { force: true });
+    },
+  };
+}
+
+// Caption bar along the bottom of a page video
+const CAPTION_BAR_HTML = `<!DOCTYPE html>
+  <html>
+    <body style="margin:0;background:transparent">
+      <div id="overlay" style="display:flex;align-items:center;gap:12px;
+        width:100vw;box-sizing:border-box;padding:10px 20px;
+        font:16px system-ui,sans-serif;color:#f8fafc;
+        background:rgba(15,23,42,0.85)">
+        <span id="title" style="font-weight:600;white-space:nowrap;
+          overflow:hidden;text-overflow:ellipsis;max-width:40%"></span>
+        <span id="url" style="color:#94a3b8;white-space:nowrap;
+          overflow:hidden;text-overflow:ellipsis"></span>
+      </div>
+    </body>
+  </html>`;
+
+// Text or image watermark, whichever is left after rendering
+const WATERMARK_HTML = `<!DOCTYPE html>
+  <html>
+    <body style="margin:0;background:transparent">
+      <div id="overlay" style="display:inline-block">
+        <img id="image" style="display:block;max-width:20vw;max-height:15vh" />
+        <span id="text" style="font:600 24px system-ui,sans-serif;color:#fff;
+          text-shadow:0 1px 3px rgba(0,0,0,0.6)"></span>
+      </div>
+    </body>
+  </html>`;
+
+// ffmpeg overlay coordinates per watermark corner. M is the margin, B the
+// margin plus the caption bar height so bottom watermarks sit above it.
+const WATERMARK_POSITIONS = {
+  "top-left": ["M", "M"],
+  "top-right": ["W-w-M", "M"],
+  "bottom-left": ["M", "H-h-B"],
+  "bottom-right": ["W-w-M", "H-h-B"],
+};
+
+function getWatermarkPosition(name) {
+  const position = WATERMARK_POSITIONS[name];
+  if (!position) {
+    const names = Object.keys(WATERMARK_POSITIONS).join(", ");
+    throw new Error(`Unknown watermark position "${name}" (use ${names})`);
+  }
+  return position;
+}
+
+// Screenshot the #overlay element of some markup with a transparent
+// background and return its size. Elements are filled by id after loading,
+// images through src, so titles and URLs can't inject markup. Elements
+// without a value are removed.
+async function renderOverlay(page, filepath, html, fields) {
+  await page.setContent(html);
+  await page.evaluate(async (values) => {
+    for (const [id, value] of Object.entries(values)) {
+      const element = document.getElementById(id);
+      if (value === null || value === undefined) {
+        element.remove();
+      } else if (element.tagName === "IMG") {
+        await new Promise((resolve, reject) => {
+          element.onload = resolve;
+          element.onerror = () => reject(new Error(`Could not load ${value}`));
+          element.src = value;
+        });
+      } else {
+        element.textContent = value;
+      }
+    }
+  }, fields);
+
+  const overlay = await page.$("#overlay");
+  await overlay.screenshot({ path: filepath, omitBackground: true });
+  const { width, height } = PNG.sync.read(fs.readFileSync(filepath));
+  return { width, height };
+}
+
+// Render the intro card and the caption bar and watermark overlays of a page
+// video on a separate tab, leaving the recorded page untouched. Overlays are
+// written to tempDir as transparent PNGs with the ffmpeg position of each.
+async function renderVideoOverlays(page, tempDir, options = {}) {
+  const {
+    introCard = false, // Title, URL and date before the recording
+    captionBar = false, // Title and URL along the bottom of every frame
+    watermarkText = null,
+    watermarkImage = null, // Image URL or data: URI
+    watermarkPosition = "bottom-right",
+    watermarkOpacity = 0.6, // 0 to 1
+  } = options;
+
+  const [x, y] = getWatermarkPosition(watermarkPosition);
+
+  const watermark = watermarkText || watermarkImage;
+  if (!introCard && !captionBar && !watermark) {
+    return { intro: null, overlays: [] };
+  }
+
+  const viewport = page.viewport() || { width: 1920, height: 1080 };
+  const margin = Math.round(20 * (viewport.deviceScaleFactor || 1));
+  const details = { title: await page.title(), url: page.url() };
+  fs.mkdirSync(tempDir, { recursive: true });
+
+  const overlayPage = await page.browser().newPage();
+  try {
+    await overlayPage.setViewport(viewport);
+
+    let intro = null;
+    if (introCard) {
+      intro = await renderTitleCard(overlayPage, null, {
+        label: new Date().toLocaleDateString("en-US", { dateStyle: "long" }),
+        ...details,
+      });
+    }
+
+    const overlays = [];
+    let captionHeight = 0;
+    if (captionBar) {
+      const file = path.join(tempDir, "caption.png");
+      const size = await renderOverlay(
+        overlayPage,
+        file,
+        CAPTION_BAR_HTML,
+        details
+      );
+      overlays.push({ file, x: "0", y: "H-h" });
+      captionHeight = size.height;
+    }
+
+    if (watermark) {
+      const file = path.join(tempDir, "watermark.png");
+      await renderOverlay(overlayPage, file, WATERMARK_HTML, {
+        text: watermarkImage ? null : watermarkText,
+        image: watermarkImage,
+      });
+      const place = (expression) =>
+        expression
+          .replace("B", String(margin + captionHeight))
+          .replace("M", String(margin));
+      overlays.push({
+        file,
+        x: place(x),
+        y: place(y),
+        opacity: watermarkOpacity,
+      });
+    }
+
+    return { intro, overlays };
+  } finally {
+    await overlayPage.close();
+  }
+}
+
+// Scroll easing curves, t and the result both run from 0 to 1
+const SCROLL_EASINGS = {
+  linear: (t) => t,
+  "ease-in-out": (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(2 - 2 * t, 2) / 2),
+};
+
+function getScrollEasing(name) {
+  const easing = SCROLL_EASINGS[name];
+  if (!easing) {
+    const names = Object.keys(SCROLL_EASINGS).join(", ");
+    throw new Error(`Unknown scroll easing "${name}" (use ${names})`);
+  }
+  return easing;
+}
+
+// Scroll offset of every frame of a scroll pass. Each leg between two stops
+// is eased on its own and takes as many frames as scrolling it at
+// scrollSpeed px per frame would, then holds at the stop for framesAtStop.
+function planScrollPositions(totalScroll, stops, options) {
+  const { scrollSpeed, easing = "linear", framesAtStop = 0 } = options;
+  const ease = getScrollEasing(easing);
+  const points = [0, ...stops, totalScroll];
+
+  const plan = [0];
+  for (let leg = 1; leg < points.length; leg++) {
+    const from = points[leg - 1];
+    const to = points[leg];
+    if (to <= from) continue;
+
+    const frames = Math.ceil((to - from) / scrollSpeed);
+    for (let i = 1; i <= frames; i++) {
+      plan.push(Math.round(from + (to - from) * ease(i / frames)));
+    }
+    if (leg < points.length - 1) {
+      plan.push(...Array(framesAtStop).fill(to));
+    }
+  }
+  return plan;
+}
+
+// Frames of a whole scroll pass: held at the top for pauseAtTop, the scroll
+// itself with its section stops, then held at the bottom for pauseAtBottom
+function planScrollPass(totalScroll, stops, options) {
+  const {
+    frameRate,
+    pauseAtTop,
+    pauseAtBottom,
+    pauseAtSections,
+    scrollSpeed,
+    easing,
+  } = options;
+  const framesFor = (ms) => Math.ceil((ms / 1000) * frameRate);
+
+  return {
+    framesAtTop: framesFor(pauseAtTop),
+    scrollPlan: planScrollPositions(totalScroll, stops, {
+      scrollSpeed,
+      easing,
+      framesAtStop: framesFor(pauseAtSections),
+    }),
+    framesAtBottom: framesFor(pauseAtBottom),
+  };
+}
+
+// Scroll positions a timed recording holds, each for `dwell` ms. Without a
+// list the page is recorded at the top for recordDuration seconds. Returns
+// null for the default scroll pass.
+function getTimedPositions(options = {}) {
+  const {
+    recordMode = "scroll", // 'scroll' pass or 'timed' real-time capture
+    recordDuration = 5, // Seconds, timed mode without scrollPositions
+    scrollPositions = null, // [{ y, dwell }], y in px and dwell in ms
+  } = options;
+
+  if (recordMode === "scroll") return null;
+  if (recordMode !== "timed") {
+    throw new Error(`Unknown record mode "${recordMode}" (use scroll, timed)`);
+  }
+
+  if (!scrollPositions || scrollPositions.length === 0) {
+    if (!(recordDuration > 0)) {
+      throw new Error("recordDuration must be a number of seconds above 0");
+    }
+    return [{ y: 0, dwell: recordDuration * 1000 }];
+  }
+
+  if (!Array.isArray(scrollPositions)) {
+    throw new Error("scrollPositions must be a list of { y, dwell }");
+  }
+  return scrollPositions.map((position) => {
+    const { y, dwell } = position || {};
+    if (!(y >= 0) || !(dwell > 0)) {
+      throw new Error(
+        "Each scroll position needs a y of 0 or more and a dwell above 0 ms"
+      );
+    }
+    return { y: Number(y), dwell: Number(dwell) };
+  });
+}
+
+// Check the page video options, throwing on the first unusable one. Whether
+// this FFmpeg build can encode the format is left to getVideoEncoder.
+function validatePageVideoOptions(options = {}) {
+  const {
+    scrollEasing = "linear",
+    watermarkPosition = "bottom-right",
+    watermarkOpacity = 0.6,
+  } = options;
+
+  getScrollEasing(scrollEasing);
+  getWatermarkPosition(watermarkPosition);
+  if (!(watermarkOpacity >= 0 && watermarkOpacity <= 1)) {
+    throw new Error("watermarkOpacity must be between 0 and 1");
+  }
+  getTimedPositions(options);
+  getVideoFormat(options);
+}
+
+// Options recordPageVideo takes, passed on from video sessions and from
+// crawls recording page videos
+const PAGE_VIDEO_OPTIONS = [
+  "scrollSpeed",
+  "frameRate",
+  "pauseAtTop",
+  "pauseAtBottom",
+  "videoFormat",
+  "videoCrf",
+  "videoBitrate",
+  "videoScale",
+  "maxDuration",
+  "recordMode",
+  "recordDuration",
+  "scrollPositions",
+  "scrollEasing",
+  "sectionStops",
+  "sectionSelector",
+  "pauseAtSections",
+  "introCard",
+  "introDuration",
+  "captionBar",
+  "watermarkText",
+  "watermarkImage",
+  "watermarkPosition",
+  "watermarkOpacity",
+];
+
+function pickPageVideoOptions(options) {
+  return Object.fromEntries(
+    PAGE_VIDEO_OPTIONS.filter((name) => options[name] !== undefined).map(
+      (name) => [name, options[name]]
+    )
+  );
+}
+
+// Record video of page with scrolling. Frames are piped straight into ffmpeg,
+// so encoding runs alongside capture and nothing is buffered on disk.
+async function recordPageVideo(page, filepath, options = {}, socket = null) {
+  const {
+    scrollSpeed = 50, // Pixels per frame
+    frameRate = 30, // FPS
+    maxDuration = null, // Seconds, stop recording once reached
+    pauseAtTop = 1000, // ms to pause at top
+    pauseAtBottom = 1000, // ms to pause at bottom
+    scrollEasing = "linear", // linear or ease-in-out
+    sectionStops = false, // Stop at every section and heading on the way
+    sectionSelector = "section, h1, h2", // What counts as a section
+    pauseAtSections = 1000, // ms to pause at each section stop
+    introDuration = 2, // Seconds the intro card is shown, with introCard
+  } = options;
+
+  validatePageVideoOptions(options); // Fail before ffmpeg starts
+  // Scroll positions to record in real time, null for a scroll pass
+  const positions = getTimedPositions(options);
+  const encoder = await getVideoEncoder(options);
+  const maxFrames =
+    maxDuration > 0
+      ? Math.max(1, Math.round(maxDuration * frameRate))
+      : Infinity;
+  const outputPath = filepath.replace(/\.webm$/, encoder.extension);
+  const posterPath = filepath.replace(/\.webm$/, "_poster.png");
+  const overlayDir = filepath.replace(/\.webm$/, "_overlays");
+
+  let frameCount = 0;
+  let encodedFrames = 0;
+  let capturing = true;
+  let posterSaved = false;
+  let video = null;
+
+  const reportEncoding = (encoded) => {
+    encodedFrames = encoded;
+    // Capture reports its own progress, this covers the encoder catching up
+    if (socket && !capturing) {
+      socket.emit("video-progress", {
+        stage: "encoding",
+        progress: Math.min(100, Math.round((encoded / frameCount) * 100)),
+        frames: frameCount,
+        encoded,
+      });
+    }
+  };
+
+  // Hand a frame of the page to ffmpeg
+  const writeFrame = async (frame) => {
+    if (!posterSaved) {
+      // Keep the first frame as the poster shown in History
+      fs.writeFileSync(posterPath, frame);
+      posterSaved = true;
+    }
+    await video.write(frame);
+    frameCount++;
+  };
+
+  // Screenshot the viewport as the next frame
+  const captureFrame = async () => {
+    await writeFrame(await page.screenshot({ type: "png" }));
+  };
+
+  const framesFor = (ms) => Math.max(1, Math.round((ms / 1000) * frameRate));
+
+  const reportCapture = (totalFrames) => {
+    if (!socket) return;
+    socket.emit("video-progress", {
+      stage: "capturing",
+      progress: Math.round((frameCount / totalFrames) * 100),
+      frames: frameCount,
+      encoded: encodedFrames,
+    });
+  };
+
+  // Record `duration` ms in real time. A screenshot usually takes longer than
+  // one frame, so each is repeated until the video has caught up with the
+  // clock and animations play back at their true speed.
+  const captureRealTime = async (duration, totalFrames) => {
+    const start = Date.now();
+    const frames = framesFor(duration);
+    let written = 0;
+    let reported = frameCount;
+
+    while (written < frames && frameCount < maxFrames) {
+      // Never screenshot ahead of the next frame's slot
+      const wait = start + (written * 1000) / frameRate - Date.now();
+      if (wait > 0) await new Promise((r) => setTimeout(r, wait));
+
+      const frame = await page.screenshot({ type: "png" });
+      const elapsed = Date.now() - start;
+      const due = Math.min(frames, Math.floor((elapsed / 1000) * frameRate));
+      do {
+        await writeFrame(frame);
+        written++;
+      } while (written < due && frameCount < maxFrames);
+
+      if (frameCount - reported >= 20) {
+        reportCapture(totalFrames);
+        reported = frameCount;
+      }
+    }
+  };
+
+  try {
+    // ffmpeg takes the overlays as inputs, so they are rendered first
+    const { intro, overlays } = await renderVideoOverlays(
+      page,
+      overlayDir,
+      options
+    );
+    video = startFrameEncoder(
+      outputPath,
+      encoder,
+      frameRate,
+      reportEncoding,
+      overlays
+    );
+
+    if (intro) {
+      const introFrames = framesFor(introDuration * 1000);
+      for (let i = 0; i < introFrames && frameCount < maxFrames; i++) {
+        await video.write(intro);
+        frameCount++;
+      }
+    }
+
+    if (socket)
+      socket.emit("status", {
+        type: "info",
+        message: "Starting video capture...",
+      });
+
+    if (positions) {
+      const totalFrames = Math.min(
+        positions.reduce((sum, { dwell }) => sum + framesFor(dwell), 0),
+        maxFrames
+      );
+      for (const [index, { y, dwell }] of positions.entries()) {
+        if (frameCount >= maxFrames) break;
+        await page.evaluate((y) => window.scrollTo(0, y), y);
+        if (socket)
+          socket.emit("status", {
+            type: "info",
+            message: `Recording ${dwell / 1000}s at ${y}px (${index + 1}/${
+              positions.length
+            })...`,
+          });
+        await captureRealTime(dwell, totalFrames);
+      }
+    } else {
+      // Get page dimensions
+      const dimensions = await page.evaluate(() => ({
+        scrollHeight: document.body.scrollHeight,
+        clientHeight: window.innerHeight,
+        scrollWidth: document.body.scrollWidth,
+      }));
+
+      const totalScroll = Math.max(
+        0,
+        dimensions.scrollHeight - dimensions.clientHeight
+      );
+      const frameDelay = 1000 / frameRate;
+
+      // Section and heading tops to stop at, one viewport quarter apart at
+      // least so a heading right below its section's top doesn't stop twice
+      const stops = [];
+      if (sectionStops) {
+        const tops = await page.evaluate(
+          (selector) =>
+            Array.from(document.querySelectorAll(selector), (element) =>
+              Math.round(element.getBoundingClientRect().top + window.scrollY)
+            ),
+          sectionSelector
+        );
+        const gap = dimensions.clientHeight / 4;
+        for (const top of tops.sort((a, b) => a - b)) {
+          const previous = stops.length > 0 ? stops[stops.length - 1] : 0;
+          if (top - previous >= gap && totalScroll - top >= gap) {
+            stops.push(top);
+          }
+        }
+      }
+
+      // Calculate frames needed for pauses and scrolling
+      const { framesAtTop, scrollPlan, framesAtBottom } = planScrollPass(
+        totalScroll,
+        stops,
+        {
+          frameRate,
+          pauseAtTop,
+          pauseAtBottom,
+          pauseAtSections,
+          scrollSpeed,
+          easing: scrollEasing,
+        }
+      );
+      const totalFrames = Math.min(
+        framesAtTop + scrollPlan.length + framesAtBottom,
+        maxFrames
+      );
+
+      // Scroll to top first
+      await page.evaluate(() => window.scrollTo(0, 0));
+      await new Promise((r) => setTimeout(r, 500));
+
+      // Capture frames at the top (pause)
+      for (let i = 0; i < framesAtTop && frameCount < maxFrames; i++) {
+        await captureFrame();
+      }
+
+      if (socket)
+        socket.emit("status", {
+          type: "info",
+          message:
+            stops.length > 0
+              ? `Capturing scroll frames (${stops.length} section stops)...`
+              : "Capturing scroll frames...",
+        });
+
+      for (const [i, scrollY] of scrollPlan.entries()) {
+        if (frameCount >= maxFrames) break;
+
+        await page.evaluate((y) => window.scrollTo(0, y), scrollY);
+        await new Promise((r) => setTimeout(r, frameDelay / 2)); // Small delay for render
+
+        await captureFrame();
+
+        // Progress update every 20 frames
+        if (i % 20 === 0) reportCapture(totalFrames);
+      }
+
+      // Capture frames at the bottom (pause)
+      for (let i = 0; i < framesAtBottom && frameCount < maxFrames; i++) {
+        await captureFrame();
+      }
+    }
+
+    if (socket && frameCount >= maxFrames)
+      socket.emit("status", {
+        type: "info",
+        message: `Stopped at the ${maxDuration}s maximum duration`,
+      });
+
+    capturing = false;
+    if (socket)
+      socket.emit("status", {
+        type: "info",
+        message: `Captured ${frameCount} frames. Finishing encoding...`,
+      });
+
+    await video.finish();
+
+    if (socket)
+      socket.emit("status", {
+        type: "success",
+        message: "Video encoding complete!",
+      });
+
+    return {
+      success: true,
+      frameCount,
+      filepath: outputPath,
+      posterPath,
+      settings: {
+        ...encoder.settings,
+        ...(maxDuration && { maxDuration }),
+        ...(positions && { recordMode: "timed", scrollPositions: positions }),
+      },
+    };
+  } catch (error) {
+    // Stop the encoder and drop the partial output
+    if (video) await video.abort();
+    for (const file of [outputPath, posterPath]) {
+      fs.rmSync(file, { force: true });
+    }
+    throw error;
+  } finally {
+    fs.rmSync(overlayDir, { recursive: true, force: true });
+  }
+}
+
+// Screenshot a full-viewport title card introducing a page, in a site tour or
+// at the start of its video. Returns the PNG, also saved when filepath is set.
+async function renderTitleCard(page, filepath, card) {
+  await page.setContent(`<!DOCTYPE html>
+    <html>
+      <body style="margin:0;height:100vh;display:flex;flex-direction:column;
+        justify-content:center;align-items:center;gap:24px;padding:0 8vw;
+        box-sizing:border-box;text-align:center;color:#f8fafc;
+        font-family:system-ui,sans-serif;
+        background:linear-gradient(135deg,#0f172a,#1e1b4b)">
+        <div id="label" style="font-size:2.5vh;color:#818cf8"></div>
+        <div id="title" style="font-size:6vh;font-weight:700"></div>
+        <div id="url" style="font-size:2.5vh;color:#94a3b8;word-break:break-all">
+        </div>
+      </body>
+    </html>`);
+
+  // Set as text so titles and URLs can't inject markup
+  await page.evaluate(({ label, title, url }) => {
+    document.getElementById("label").textContent = label;
+    document.getElementById("title").textContent = title;
+    document.getElementById("url").textContent = url;
+  }, card);
+
+  return page.screenshot({ path: filepath || undefined, type: "png" });
+}
+
+// Join page videos into one "site tour", each introduced by a title card.
+// Every clip is scaled and padded to the first viewport.
+async function createSiteTour(page, clips, filepath, options = {}) {
+  const { viewport, frameRate = 30, cardDuration = 2, encoding = {} } = options;
+  const tempDir = filepath.replace(".webm", "_cards");
+  fs.mkdirSync(tempDir, { recursive: true });
+
+  // Frames are captured at device pixels and shrunk by the video scale,
+  // yuv420p needs even dimensions
+  const scale = (viewport.deviceScaleFactor || 1) * (encoding.videoScale || 1);
+  const width = Math.round((viewport.width * scale) / 2) * 2;
+  const height = Math.round((viewport.height * scale) / 2) * 2;
+
+  try {
+    await page.setViewport(viewport);
+
+    const inputs = [];
+    for (const [index, clip] of clips.entries()) {
+      const cardPath = path.join(tempDir, `card_${index}.png`);
+      await renderTitleCard(page, cardPath, {
+        label: `${index + 1} / ${clips.length}`,
+        title: clip.title,
+        url: clip.url,
+      });
+
+      inputs.push(
+        ["-loop", "1", "-framerate", String(frameRate)],
+        ["-t", String(cardDuration), "-i", cardPath],
+        ["-i", clip.file]
+      );
+    }
+
+    const segmentCount = clips.length * 2;
+    const fit = `scale=${width}:${height}:force_original_aspect_ratio=decrease`;
+    const pad = `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`;
+    const filters = [];
+    for (let i = 0; i < segmentCount; i++) {
+      filters.push(
+        `[${i}:v]${fit},${pad},setsar=1,fps=${frameRate},format=yuv420p[v${i}]`
+      );
+    }
+    const labels = filters.map((_, i) => `[v${i}]`).join("");
+    filters.push(`${labels}concat=n=${segmentCount}:v=1:a=0[out]`);
+
+    const baseArgs = [
+      "-y",
+      ...inputs.flat(),
+      "-filter_complex",
+      filters.join(";"),
+      "-map",
+      "[out]",
+    ];
+
+    // Tours are always real videos, GIF page videos become WebM
+    const encoder = await getVideoEncoder({
+      ...encoding,
+      videoFormat: encoding.videoFormat === "mp4" ? "mp4" : "webm",
+      videoScale: 1, // Already applied to width and height
+    });
+    const outputPath = filepath.replace(/\.webm$/, encoder.extension);
+    await runFfmpeg([...baseArgs, ...encoder.args, outputPath]);
+
+    return outputPath;
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+// Record video of a single URL
+async function recordSinglePageVideo(sessionId, url, options, socket) {
+  const session = activeSessions.get(sessionId);
+  if (!session) return;
 
   const {
     viewport = { width: 1920, height: 1080 },
     pageTimeout = 30000,
     waitAfterLoad = 2000,
-    scrollSpeed = 50,
     frameRate = 30,
-    pauseAtTop = 1000,
-    pauseAtBottom = 1000,
   } = options;
 
   const sessionDir = path.join(videosDir, sessionId);
@@ -575,6 +2307,7 @@ async function recordSinglePageVideo(sessionId, url, options, socket) {
 
     const page = await browser.newPage();
     await page.setViewport(viewport);
+    await setupAuthentication([page], url, options, socket);
 
     socket.emit("status", { type: "info", message: `Navigating to: ${url}` });
 
@@ -601,25 +2334,13 @@ async function recordSinglePageVideo(sessionId, url, options, socket) {
     const result = await recordPageVideo(
       page,
       filepath,
-      {
-        scrollSpeed,
-        frameRate,
-        pauseAtTop,
-        pauseAtBottom,
-      },
+      pickPageVideoOptions(options),
       socket
     );
 
-    // Check if mp4 fallback was used
-    let finalFilename = filename;
-    let finalFilepath = filepath;
-    if (
-      !fs.existsSync(filepath) &&
-      fs.existsSync(filepath.replace(".webm", ".mp4"))
-    ) {
-      finalFilename = filename.replace(".webm", ".mp4");
-      finalFilepath = filepath.replace(".webm", ".mp4");
-    }
+    // The extension depends on the output format
+    const finalFilepath = result.filepath;
+    const finalFilename = path.basename(finalFilepath);
 
     // Get file size
     const stats = fs.statSync(finalFilepath);
@@ -629,13 +2350,15 @@ async function recordSinglePageVideo(sessionId, url, options, socket) {
       url,
       title: title || "Untitled",
       video: `/videos/${sessionId}/${finalFilename}`,
+      poster: `/videos/${sessionId}/${path.basename(result.posterPath)}`,
       frames: result.frameCount,
+      duration: Math.round((result.frameCount / frameRate) * 10) / 10,
+      ...result.settings, // format, codec and quality used
       fileSize: `${fileSizeMB} MB`,
+      fileSizeBytes: stats.size,
       timestamp: new Date().toISOString(),
     };
 
-    socket.emit("video-complete", videoResult);
-
     // Save summary
     const summaryPath = path.join(sessionDir, "summary.json");
     fs.writeFileSync(
@@ -643,20 +2366,41 @@ async function recordSinglePageVideo(sessionId, url, options, socket) {
       JSON.stringify(
         {
           url,
-          options,
+          options: redactOptions(options),
           startTime: session.startTime,
           endTime: new Date().toISOString(),
+          status: "completed",
           result: videoResult,
         },
         null,
         2
       )
     );
+
+    socket.emit("video-complete", videoResult);
   } catch (error) {
     socket.emit("status", {
       type: "error",
       message: `Video recording error: ${error.message}`,
     });
+
+    // Record the failure so it can still be looked up once the session ends
+    fs.writeFileSync(
+      path.join(sessionDir, "summary.json"),
+      JSON.stringify(
+        {
+          url,
+          options: redactOptions(options),
+          startTime: session.startTime,
+          endTime: new Date().toISOString(),
+          status: "failed",
+          error: error.message,
+        },
+        null,
+        2
+      )
+    );
+
     socket.emit("video-error", { error: error.message });
   } finally {
     if (browser) {
@@ -666,26 +2410,286 @@ async function recordSinglePageVideo(sessionId, url, options, socket) {
   }
 }
 
-// Main crawl function
-async function crawlWebsite(sessionId, startUrl, options, socket) {
-  const session = activeSessions.get(sessionId);
-  if (!session) return;
-
+// Check the crawl options, throwing on the first unusable one. The REST and
+// schedule endpoints run this up front so a bad option is a 400 rather than a
+// failed crawl. Numeric limits such as maxPages and concurrency aren't
+// checked, they fall back to their defaults or are clamped where used.
+function validateCrawlOptions(options = {}) {
   const {
-    maxPages = 50,
-    viewport = { width: 1920, height: 1080 },
-    scrollDelay = 100,
-    pageTimeout = 30000,
+    includePatterns = [],
+    excludePatterns = [],
+    dismissConsent = null,
+    recordVideos = false,
+  } = options;
+
+  for (const [name, patterns] of Object.entries({
+    includePatterns,
+    excludePatterns,
+  })) {
+    if (!Array.isArray(patterns)) {
+      throw new Error(`${name} must be an array of URL patterns`);
+    }
+    patterns.forEach(compileUrlPattern);
+  }
+  getScreenshotExtension(options);
+  validateSelectorOptions(options);
+  if (dismissConsent && !["accept", "reject"].includes(dismissConsent)) {
+    throw new Error(
+      `Unknown dismissConsent "${dismissConsent}" (use accept or reject)`
+    );
+  }
+  if (recordVideos) validatePageVideoOptions(pickPageVideoOptions(options));
+}
+
+// Main crawl function. Pass the checkpoint of an interrupted crawl to carry on
+// where it stopped instead of starting over.
+async function crawlWebsite(
+  sessionId,
+  startUrl,
+  options,
+  socket,
+  checkpoint = null
+) {
+  const session = activeSessions.get(sessionId);
+  if (!session) return;
+
+  const {
+    maxPages = 50,
+    viewport = { width: 1920, height: 1080 },
+    viewports = null, // Capture every page at each of these viewports
+    scrollDelay = 100,
+    pageTimeout = 30000,
     waitAfterLoad = 1000,
     smartDedup = false, // Smart URL pattern deduplication
+    concurrency = 1, // Number of tabs capturing pages in parallel
+    useSitemap = false, // Seed the queue from sitemap.xml
+    sitemapUrl = null, // Override the sitemap location
+    respectRobots = false, // Honour robots.txt Disallow/Crawl-delay
+    robotsUserAgent = "ScreenCrawl", // Agent matched against robots.txt
+    includePatterns = [], // Only crawl paths matching one of these
+    excludePatterns = [], // Never crawl paths matching any of these
+    maxDepth = null, // Link hops from the start URL
+    pathBudgets = {}, // Max pages per path prefix, e.g. { "/blog": 5 }
+    recordVideos = false, // Also record a scroll video of every page
+    siteTour = false, // Join the page videos into one tour video
+    screenshotFormat = "png", // png, jpeg or webp
+    screenshotQuality = 80, // 1-100, for jpeg and webp
+    thumbnails = true, // Save a small JPEG next to every screenshot
+    thumbnailWidth = 400,
+    savePdf = false, // Also print every page to PDF
+    dismissConsent = null, // "accept" or "reject" consent banners
+    elementSelectors = {}, // Named selectors captured as their own images
+    elementLimit = 10, // Most matches captured per element selector
+    accessibilityAudit = false, // Run axe-core on every page
+    frameRate = 30, // Page video settings, as in video mode
+    videoFormat = "webm",
   } = options;
-
-  const visited = new Set();
-  const visitedPatterns = new Set(); // Track URL patterns for smart dedup
-  const skippedUrls = []; // Track skipped URLs for reporting
-  const queue = [normalizeUrl(startUrl)];
-  const results = [];
+  const videoOptions = pickPageVideoOptions(options);
+
+  const saved = checkpoint || {};
+  const visited = new Set(saved.visited);
+  // Link hops from the start URL, per queued URL
+  const depths = new Map(Object.entries(saved.depths || {}));
+  const visitedPatterns = new Set(saved.visitedPatterns); // For smart dedup
+  const skippedUrls = saved.skippedUrls || []; // Skipped URLs for reporting
+  const queue = saved.queue || [];
+  const queuedUrls = new Set(queue); // Mirrors the queue for O(1) lookups
+  const results = saved.results || [];
   const sessionDir = path.join(screenshotsDir, sessionId);
+  const checkpointPath = path.join(sessionDir, "checkpoint.json");
+  const resumes = (saved.resumes || 0) + (checkpoint ? 1 : 0);
+
+  // The first viewport is the one pages are loaded and crawled at
+  const captureViewports = (
+    Array.isArray(viewports) && viewports.length > 0 ? viewports : [viewport]
+  ).map(normalizeViewport);
+  const multiViewport = captureViewports.length > 1;
+
+  let robots = null; // Parsed robots.txt rules
+  let crawlDelay = 0; // ms between navigations, from robots.txt
+  let nextNavigationAt = 0;
+  let sitemapSeeded = saved.sitemapSeeded || 0;
+  let pageCounter = saved.pageCounter || 0; // Last page_N number handed out
+  const inFlightUrls = new Set(); // Claimed but not yet captured
+  let checkpointReady = false; // Set once the queue has been seeded
+  let siteTourResult = null;
+
+  // Page videos report their progress as status messages only, video-progress
+  // events would overwrite the crawl's own progress
+  const videoSocket = {
+    emit: (event, data) => {
+      if (event !== "video-progress") socket.emit(event, data);
+    },
+  };
+
+  // Invalid patterns throw here so the crawl fails before anything is captured
+  let includeRules = [];
+  let excludeRules = [];
+  let screenshotExtension = "png";
+  // Pages queued per path budget prefix
+  const budgetCounts = new Map(Object.entries(saved.budgetCounts || {}));
+
+  // Record a URL skipped by a crawl rule, once per URL
+  const reportedSkips = new Set(
+    skippedUrls
+      .filter(({ reason }) => reason !== "duplicate_pattern")
+      .map(({ url }) => url)
+  );
+  const recordSkip = (url, reason, label) => {
+    if (reportedSkips.has(url)) return;
+    reportedSkips.add(url);
+    skippedUrls.push({ url, reason });
+    socket.emit("status", {
+      type: "warning",
+      message: `Skipped (${label}): ${url}`,
+    });
+  };
+
+  // Warn about an invalid hide, remove or element selector once per crawl
+  const reportedSelectors = new Set();
+  const reportInvalidSelectors = (selectors) => {
+    for (const selector of selectors) {
+      if (reportedSelectors.has(selector)) continue;
+      reportedSelectors.add(selector);
+      socket.emit("status", {
+        type: "warning",
+        message: `Invalid selector ignored: ${selector}`,
+      });
+    }
+  };
+
+  // Dedup pattern and path budget prefix of each queued or loading URL,
+  // worked out once as claimNextUrl checks them on every claim and idle poll
+  const urlKeys = new Map();
+  const getUrlKeys = (url) => {
+    let keys = urlKeys.get(url);
+    if (!keys) {
+      keys = {
+        pattern: getUrlPattern(url),
+        budgetPrefix: getPathBudgetPrefix(url, pathBudgets),
+      };
+      urlKeys.set(url, keys);
+    }
+    return keys;
+  };
+
+  // Skip a URL whose path budget is already spent on captured pages
+  const isBudgetUsedUp = (link, budgetPrefix) => {
+    if (!budgetPrefix) return false;
+    if ((budgetCounts.get(budgetPrefix) || 0) < pathBudgets[budgetPrefix]) {
+      return false;
+    }
+    recordSkip(link, "path_budget", `${budgetPrefix} budget used up`);
+    return true;
+  };
+
+  // Queue a discovered URL unless it's already known or excluded by a crawl
+  // rule. Scope rules skip the start URL, the crawl has to begin somewhere.
+  const enqueueLink = (link, depth = 0, isStartUrl = false) => {
+    if (visited.has(link) || queuedUrls.has(link)) return false;
+    const keys = {
+      pattern: getUrlPattern(link),
+      budgetPrefix: getPathBudgetPrefix(link, pathBudgets),
+    };
+
+    if (respectRobots && !isAllowedByRobots(link, robots)) {
+      recordSkip(link, "robots_disallowed", "robots.txt");
+      return false;
+    }
+
+    if (!isStartUrl) {
+      const target = getUrlPathAndQuery(link);
+
+      if (excludeRules.some((rule) => rule.test(target))) {
+        recordSkip(link, "excluded_pattern", "exclude pattern");
+        return false;
+      }
+
+      if (
+        includeRules.length > 0 &&
+        !includeRules.some((rule) => rule.test(target))
+      ) {
+        recordSkip(link, "not_included", "no include pattern matched");
+        return false;
+      }
+
+      if (maxDepth !== null && depth > maxDepth) {
+        recordSkip(link, "max_depth", `deeper than ${maxDepth} hops`);
+        return false;
+      }
+    }
+
+    // Smart deduplication: skip if we've already seen this pattern
+    if (smartDedup && visitedPatterns.has(keys.pattern)) {
+      skippedUrls.push({
+        url: link,
+        pattern: keys.pattern,
+        reason: "duplicate_pattern",
+      });
+      socket.emit("status", {
+        type: "warning",
+        message: `Skipped (same pattern): ${link}`,
+      });
+      return false;
+    }
+
+    // Only captured pages use up a budget, this just stops queueing more
+    if (isBudgetUsedUp(link, keys.budgetPrefix)) return false;
+
+    depths.set(link, depth);
+    queue.push(link);
+    queuedUrls.add(link);
+    urlKeys.set(link, keys);
+    return true;
+  };
+
+  // Reserve the next navigation slot so parallel tabs share one Crawl-delay
+  const waitForCrawlDelay = async () => {
+    if (!crawlDelay) return;
+    const now = Date.now();
+    const slot = Math.max(now, nextNavigationAt);
+    nextNavigationAt = slot + crawlDelay;
+    if (slot > now) await new Promise((r) => setTimeout(r, slot - now));
+  };
+
+  // Save everything needed to resume the crawl after a restart. Pages still
+  // loading go back on the queue and their patterns are released, so they're
+  // captured again rather than lost. Credentials are never written to disk.
+  const writeCheckpoint = () => {
+    const inFlightPatterns = new Set(
+      [...inFlightUrls].map((url) => getUrlKeys(url).pattern)
+    );
+    const state = {
+      startUrl,
+      options: redactOptions(options),
+      startTime: session.startTime,
+      updatedAt: new Date().toISOString(),
+      schedule: session.schedule || null,
+      resumes,
+      pageCounter,
+      queue: [...inFlightUrls, ...queue],
+      visited: [...visited].filter((url) => !inFlightUrls.has(url)),
+      depths: Object.fromEntries(depths),
+      visitedPatterns: [...visitedPatterns].filter(
+        (pattern) => !inFlightPatterns.has(pattern)
+      ),
+      budgetCounts: Object.fromEntries(budgetCounts),
+      sitemapSeeded,
+      skippedUrls,
+      results,
+    };
+
+    // Write then rename, so a crash mid-write never leaves a broken checkpoint
+    try {
+      fs.writeFileSync(`${checkpointPath}.tmp`, JSON.stringify(state));
+      fs.renameSync(`${checkpointPath}.tmp`, checkpointPath);
+    } catch (error) {
+      socket.emit("status", {
+        type: "warning",
+        message: `Could not save checkpoint: ${error.message}`,
+      });
+    }
+  };
 
   // Create session directory
   if (!fs.existsSync(sessionDir)) {
@@ -693,7 +2697,96 @@ async function crawlWebsite(sessionId, startUrl, options, socket) {
   }
 
   let browser;
+  let crawlError = null;
   try {
+    validateCrawlOptions(options);
+    includeRules = includePatterns.map(compileUrlPattern);
+    excludeRules = excludePatterns.map(compileUrlPattern);
+    screenshotExtension = getScreenshotExtension(options);
+    // An unusable video format fails the crawl too, not every page after it
+    if (recordVideos) await getVideoEncoder(videoOptions);
+
+    // robots.txt also lists sitemaps, so load it for either option. A resumed
+    // crawl still needs the rules, but its queue was seeded the first time.
+    if (respectRobots || (useSitemap && !checkpoint)) {
+      const robotsUrl = new URL("/robots.txt", startUrl).href;
+      try {
+        robots = parseRobotsTxt(
+          // Request it as the agent its rules are matched against
+          await fetchText(robotsUrl, pageTimeout, robotsUserAgent),
+          robotsUserAgent
+        );
+        if (respectRobots) {
+          crawlDelay = (robots.crawlDelay || 0) * 1000;
+          socket.emit("status", {
+            type: "info",
+            message: `Loaded robots.txt: ${robots.rules.length} rules${
+              crawlDelay ? `, ${robots.crawlDelay}s crawl delay` : ""
+            }`,
+          });
+        }
+      } catch (error) {
+        socket.emit("status", {
+          type: "warning",
+          message: `Could not load robots.txt: ${error.message}`,
+        });
+      }
+    }
+
+    if (checkpoint) {
+      const queued = queue.length;
+      socket.emit("status", {
+        type: "info",
+        message: `Resuming crawl: ${results.length} pages done, ${queued} queued`,
+      });
+
+      // Show the pages captured before the interruption alongside the new ones
+      results
+        .filter((result) => !result.error)
+        .forEach((result) => socket.emit("screenshot", result));
+    } else {
+      enqueueLink(normalizeUrl(startUrl), 0, true);
+    }
+
+    if (useSitemap && !checkpoint) {
+      const sources = sitemapUrl
+        ? [sitemapUrl]
+        : robots && robots.sitemaps.length > 0
+        ? robots.sitemaps
+        : [new URL("/sitemap.xml", startUrl).href];
+
+      socket.emit("status", {
+        type: "info",
+        message: `Reading sitemap: ${sources.join(", ")}`,
+      });
+
+      const { urls, errors } = await fetchSitemapUrls(sources, {
+        timeout: pageTimeout,
+        userAgent: robotsUserAgent,
+      });
+      errors.forEach(({ url, error }) => {
+        socket.emit("status", {
+          type: "warning",
+          message: `Could not load sitemap ${url}: ${error}`,
+        });
+      });
+
+      urls
+        .filter((url) => isInternalUrl(startUrl, url))
+        .map((url) => normalizeUrl(url))
+        .forEach((url) => {
+          if (enqueueLink(url)) sitemapSeeded++;
+        });
+
+      socket.emit("status", {
+        type: "info",
+        message: `Seeded ${sitemapSeeded} URLs from sitemap`,
+      });
+    }
+
+    checkpointReady = true;
+    writeCheckpoint();
+
     socket.emit("status", { type: "info", message: "Launching browser..." });
 
     browser = await puppeteer.launch({
@@ -705,16 +2798,93 @@ async function crawlWebsite(sessionId, startUrl, options, socket) {
       ],
     });
 
-    const page = await browser.newPage();
-    await page.setViewport(viewport);
+    // Each worker gets its own tab and pulls URLs from the shared queue
+    const workerCount = Math.max(1, Math.min(parseInt(concurrency) || 1, 10));
+    const pages = [];
+    for (let i = 0; i < workerCount; i++) {
+      const page = await browser.newPage();
+      await page.setViewport(captureViewports[0]);
+      pages.push(page);
+    }
 
-    while (queue.length > 0 && visited.size < maxPages && !session.cancelled) {
-      const currentUrl = queue.shift();
+    // Log in once before the queue starts, every tab reuses the session
+    await setupAuthentication(pages, startUrl, options, socket);
 
-      if (visited.has(currentUrl)) continue;
-      visited.add(currentUrl);
+    if (workerCount > 1) {
+      socket.emit("status", {
+        type: "info",
+        message: `Crawling with ${workerCount} parallel tabs`,
+      });
+    }
+
+    let inFlight = 0;
+
+    // Take the next URL to capture, or null when the queue is exhausted.
+    // Synchronous, so two tabs never claim the same URL or page number.
+    const claimNextUrl = () => {
+      while (queue.length > 0 && visited.size < maxPages) {
+        // Patterns and budgets only count pages that loaded or were captured.
+        // URLs that pages still in flight might rule out wait for them: ones
+        // sharing a pattern, or under a budget those pages would fill.
+        // They're skipped if the pages succeed and captured if they fail.
+        const loadingPatterns = new Set();
+        const loadingBudgets = new Map();
+        for (const url of inFlightUrls) {
+          const { pattern, budgetPrefix: prefix } = getUrlKeys(url);
+          loadingPatterns.add(pattern);
+          if (prefix) {
+            loadingBudgets.set(prefix, (loadingBudgets.get(prefix) || 0) + 1);
+          }
+        }
+        const isWaiting = (url) => {
+          const { pattern, budgetPrefix: prefix } = getUrlKeys(url);
+          if (smartDedup && loadingPatterns.has(pattern)) return true;
+          const used = prefix ? budgetCounts.get(prefix) || 0 : 0;
+          return (
+            prefix !== null &&
+            used < pathBudgets[prefix] &&
+            used + (loadingBudgets.get(prefix) || 0) >= pathBudgets[prefix]
+          );
+        };
+        const index = queue.findIndex((url) => !isWaiting(url));
+        if (index === -1) return null;
+        const [currentUrl] = queue.splice(index, 1);
+        queuedUrls.delete(currentUrl);
+        // Only loading URLs keep their keys, skipped ones drop them here
+        const keys = getUrlKeys(currentUrl);
+        urlKeys.delete(currentUrl);
+
+        if (visited.has(currentUrl)) continue;
+
+        // Another tab may have loaded this pattern since the link was queued
+        if (smartDedup && visitedPatterns.has(keys.pattern)) {
+          skippedUrls.push({
+            url: currentUrl,
+            pattern: keys.pattern,
+            reason: "duplicate_pattern",
+          });
+          socket.emit("status", {
+            type: "warning",
+            message: `Skipped (same pattern): ${currentUrl}`,
+          });
+          continue;
+        }
+
+        // Other tabs may have filled the budget since the link was queued
+        if (isBudgetUsedUp(currentUrl, keys.budgetPrefix)) continue;
+
+        visited.add(currentUrl);
+        urlKeys.set(currentUrl, keys);
+
+        // Not visited.size, a resumed crawl re-captures pages out of order
+        pageCounter++;
+        return { currentUrl, pageNumber: pageCounter };
+      }
+      return null;
+    };
 
-      const pageNumber = visited.size;
+    // Load, capture and harvest links from one page
+    const capturePage = async (page, currentUrl, pageNumber) => {
       socket.emit("progress", {
         current: pageNumber,
         total: Math.min(queue.length + visited.size, maxPages),
@@ -728,6 +2898,12 @@ async function crawlWebsite(sessionId, startUrl, options, socket) {
           message: `Navigating to: ${currentUrl}`,
         });
 
+        // The previous page may have been left at another viewport
+        if (multiViewport) {
+          await page.setViewport(captureViewports[0]);
+        }
+
+        await waitForCrawlDelay();
         await page.goto(currentUrl, {
           waitUntil: "networkidle2",
           timeout: pageTimeout,
@@ -751,42 +2927,196 @@ async function crawlWebsite(sessionId, startUrl, options, socket) {
           });
         }
 
-        links.forEach((link) => {
-          if (!visited.has(link) && !queue.includes(link)) {
-            // Smart deduplication: skip if we've already seen this pattern
-            if (smartDedup && isPatternVisited(link, visitedPatterns)) {
-              const pattern = getUrlPattern(link);
-              skippedUrls.push({
-                url: link,
-                pattern,
-                reason: "duplicate_pattern",
+        const depth = (depths.get(currentUrl) || 0) + 1;
+        links.forEach((link) => enqueueLink(link, depth));
+
+        // Banners, widgets and custom code are handled after the links were
+        // collected, so changes to the page don't hide any from the crawl
+        const { invalidSelectors = [], ...cleanup } =
+          await preparePageForCapture(page, options);
+        // A script can also reveal links, e.g. by opening menus or loading
+        // more items, and a consent click can reload the page. Those are
+        // crawled as well, on top of the ones collected before.
+        if (
+          options.injectScript ||
+          (cleanup.consent && cleanup.consent.action)
+        ) {
+          const revealed = await extractLinks(page, startUrl).catch(() => []);
+          revealed.forEach((link) => enqueueLink(link, depth));
+        }
+        if (cleanup.consent) {
+          const { manager, action } = cleanup.consent;
+          const banner = `${manager} consent banner`;
+          socket.emit("status", {
+            type: manager && !action ? "warning" : "info",
+            message: !manager
+              ? `No consent banner found: ${currentUrl}`
+              : action
+              ? `Clicked ${action} on the ${banner}: ${currentUrl}`
+              : `No ${dismissConsent} button on the ${banner}: ${currentUrl}`,
+          });
+        }
+        if (cleanup.cssError) {
+          socket.emit("status", {
+            type: "warning",
+            message: `CSS error on ${currentUrl}: ${cleanup.cssError}`,
+          });
+        }
+        if (cleanup.scriptError) {
+          socket.emit("status", {
+            type: "warning",
+            message: `Script error on ${currentUrl}: ${cleanup.scriptError}`,
+          });
+        }
+        reportInvalidSelectors(invalidSelectors);
+
+        // Take a screenshot at each viewport
+        const screenshots = [];
+        let elements;
+        let accessibility;
+        for (const [index, captureViewport] of captureViewports.entries()) {
+          const filename = getScreenshotFilename(
+            pageNumber,
+            captureViewport,
+            multiViewport,
+            screenshotExtension
+          );
+          const filepath = path.join(sessionDir, filename);
+          const thumbnail = thumbnails
+            ? filename.replace(/\.\w+$/, "_thumb.jpg")
+            : null;
+
+          if (index > 0) {
+            await page.setViewport(captureViewport);
+            // Let responsive layouts settle after the resize
+            await new Promise((r) => setTimeout(r, 300));
+          }
+
+          socket.emit("status", {
+            type: "info",
+            message: `Taking screenshot of: ${title || currentUrl}${
+              multiViewport ? ` (${captureViewport.width}px)` : ""
+            }`,
+          });
+
+          await takeFullPageScreenshot(page, filepath, {
+            scrollDelay,
+            format: screenshotFormat,
+            quality: Number(screenshotQuality),
+            thumbnailPath: thumbnail && path.join(sessionDir, thumbnail),
+            thumbnailWidth,
+          });
+
+          // Components are captured once, at the first viewport
+          if (index === 0 && Object.keys(elementSelectors).length > 0) {
+            const captured = await captureElements(page, elementSelectors, {
+              dir: sessionDir,
+              urlPath: `/screenshots/${sessionId}`,
+              prefix: `page_${pageNumber}`,
+              format: screenshotFormat,
+              extension: screenshotExtension,
+              quality: Number(screenshotQuality),
+              limit: elementLimit,
+            });
+            elements = captured.elements;
+            reportInvalidSelectors(captured.invalidSelectors);
+          }
+
+          // Audited at the first viewport too, once lazy content has loaded.
+          // A failed audit doesn't lose the page.
+          if (index === 0 && accessibilityAudit) {
+            try {
+              accessibility = await runAccessibilityAudit(page);
+              const { critical, serious } = accessibility.byImpact;
+              const issues = `${accessibility.total} violations`;
+              socket.emit("status", {
+                type: critical + serious > 0 ? "warning" : "info",
+                message: `Accessibility (${issues}): ${currentUrl}`,
               });
+            } catch (error) {
+              accessibility = { error: error.message };
               socket.emit("status", {
                 type: "warning",
-                message: `Skipped (same pattern): ${link}`,
+                message: `Audit failed for ${currentUrl}: ${error.message}`,
               });
-              return;
             }
-            queue.push(link);
           }
-        });
 
-        // Take screenshot
-        const filename = `page_${pageNumber}.png`;
-        const filepath = path.join(sessionDir, filename);
+          screenshots.push({
+            width: captureViewport.width,
+            height: captureViewport.height,
+            deviceScaleFactor: captureViewport.deviceScaleFactor,
+            screenshot: `/screenshots/${sessionId}/${filename}`,
+            thumbnail: thumbnail && `/screenshots/${sessionId}/${thumbnail}`,
+          });
+        }
 
-        socket.emit("status", {
-          type: "info",
-          message: `Taking screenshot of: ${title || currentUrl}`,
-        });
+        // Print to PDF as well, keeping the screenshots if it fails
+        let pdf = {};
+        if (savePdf) {
+          const pdfFilename = `page_${pageNumber}.pdf`;
+          try {
+            await page.pdf({
+              path: path.join(sessionDir, pdfFilename),
+              format: "A4",
+              printBackground: true,
+            });
+            pdf = { pdf: `/screenshots/${sessionId}/${pdfFilename}` };
+          } catch (error) {
+            pdf = { pdfError: error.message };
+            socket.emit("status", {
+              type: "warning",
+              message: `PDF failed for ${currentUrl}: ${error.message}`,
+            });
+          }
+        }
+
+        // A failed recording doesn't lose the screenshots already taken
+        let video = {};
+        if (recordVideos) {
+          try {
+            if (multiViewport) {
+              await page.setViewport(captureViewports[0]);
+            }
+            socket.emit("status", {
+              type: "info",
+              message: `Recording video of: ${title || currentUrl}`,
+            });
 
-        await takeFullPageScreenshot(page, filepath, { scrollDelay });
+            const recording = await recordPageVideo(
+              page,
+              path.join(sessionDir, `page_${pageNumber}.webm`),
+              videoOptions,
+              videoSocket
+            );
+            video = {
+              video: `/screenshots/${sessionId}/${path.basename(
+                recording.filepath
+              )}`,
+              videoDuration:
+                Math.round((recording.frameCount / frameRate) * 10) / 10,
+            };
+          } catch (error) {
+            video = { videoError: error.message };
+            socket.emit("status", {
+              type: "warning",
+              message: `Video failed for ${currentUrl}: ${error.message}`,
+            });
+          }
+        }
 
         const result = {
           id: pageNumber,
           url: currentUrl,
           title: title || "Untitled",
-          screenshot: `/screenshots/${sessionId}/${filename}`,
+          screenshot: screenshots[0].screenshot,
+          thumbnail: screenshots[0].thumbnail,
+          screenshots: multiViewport ? screenshots : undefined,
+          elements,
+          accessibility,
+          ...cleanup,
+          ...pdf,
+          ...video,
           linksFound: links.length,
           timestamp: new Date().toISOString(),
         };
@@ -794,6 +3124,15 @@ async function crawlWebsite(sessionId, startUrl, options, socket) {
         results.push(result);
         socket.emit("screenshot", result);
 
+        // Only now does the page count against its path budget
+        const { budgetPrefix } = getUrlKeys(currentUrl);
+        if (budgetPrefix) {
+          budgetCounts.set(
+            budgetPrefix,
+            (budgetCounts.get(budgetPrefix) || 0) + 1
+          );
+        }
+
         socket.emit("status", {
           type: "success",
           message: `Completed: ${title || currentUrl}`,
@@ -811,8 +3150,91 @@ async function crawlWebsite(sessionId, startUrl, options, socket) {
           timestamp: new Date().toISOString(),
         });
       }
+    };
+
+    const worker = async (page) => {
+      while (!session.cancelled) {
+        const next = claimNextUrl();
+        if (!next) {
+          // Pages still loading in other tabs may add more links to the queue
+          if (inFlight === 0 || visited.size >= maxPages) break;
+          await new Promise((r) => setTimeout(r, 100));
+          continue;
+        }
+
+        inFlight++;
+        inFlightUrls.add(next.currentUrl);
+        try {
+          await capturePage(page, next.currentUrl, next.pageNumber);
+        } finally {
+          inFlight--;
+          inFlightUrls.delete(next.currentUrl);
+          urlKeys.delete(next.currentUrl);
+          writeCheckpoint();
+        }
+      }
+    };
+
+    await Promise.all(pages.map((page) => worker(page)));
+
+    const tourPages = results
+      .filter((result) => result.video)
+      .sort((a, b) => a.id - b.id);
+    if (siteTour && videoFormat === "webp" && tourPages.length > 0) {
+      // ffmpeg can't decode animated WebP, so there's nothing to join
+      socket.emit("status", {
+        type: "warning",
+        message: "Site tours need WebM, MP4 or GIF page videos, skipping",
+      });
+    } else if (siteTour && !session.cancelled && tourPages.length > 0) {
+      socket.emit("status", {
+        type: "info",
+        message: `Building site tour from ${tourPages.length} page videos...`,
+      });
+
+      try {
+        const cardDuration = 2;
+        const tourPath = await createSiteTour(
+          pages[0],
+          tourPages.map((result) => ({
+            title: result.title,
+            url: result.url,
+            file: path.join(sessionDir, path.basename(result.video)),
+          })),
+          path.join(sessionDir, "site_tour.webm"),
+          {
+            viewport: captureViewports[0],
+            frameRate,
+            cardDuration,
+            encoding: videoOptions,
+          }
+        );
+
+        siteTourResult = {
+          video: `/screenshots/${sessionId}/${path.basename(tourPath)}`,
+          pages: tourPages.length,
+          duration:
+            Math.round(
+              tourPages.reduce(
+                (total, result) => total + result.videoDuration + cardDuration,
+                0
+              ) * 10
+            ) / 10,
+        };
+        socket.emit("site-tour", siteTourResult);
+        socket.emit("status", {
+          type: "success",
+          message: "Site tour video ready",
+        });
+      } catch (error) {
+        socket.emit("status", {
+          type: "warning",
+          message: `Could not build site tour: ${error.message}`,
+        });
+      }
     }
   } catch (error) {
+    crawlError = error.message;
     socket.emit("status", {
       type: "error",
       message: `Crawl error: ${error.message}`,
@@ -822,6 +3244,22 @@ async function crawlWebsite(sessionId, startUrl, options, socket) {
       await browser.close();
     }
 
+    const status = crawlError
+      ? "failed"
+      : session.cancelled
+      ? "cancelled"
+      : "completed";
+
+    // Parallel tabs finish out of order, keep the summary in page_N order
+    results.sort((a, b) => a.id - b.id);
+
+    // Only finished crawls lose their checkpoint, the rest can be resumed
+    if (status === "completed") {
+      fs.rmSync(checkpointPath, { force: true });
+    } else if (checkpointReady) {
+      writeCheckpoint();
+    }
+
     // Save results summary
     const summaryPath = path.join(sessionDir, "summary.json");
     fs.writeFileSync(
@@ -829,13 +3267,40 @@ async function crawlWebsite(sessionId, startUrl, options, socket) {
       JSON.stringify(
         {
           startUrl,
-          options,
+          options: redactOptions(options),
+          schedule: session.schedule || null,
           startTime: session.startTime,
           endTime: new Date().toISOString(),
+          status,
+          error: crawlError,
+          resumable: status !== "completed" && fs.existsSync(checkpointPath),
+          resumes,
           pagesProcessed: results.length,
           patternsFound: smartDedup ? visitedPatterns.size : null,
-          skippedDuplicates: smartDedup ? skippedUrls.length : null,
-          skippedUrls: smartDedup ? skippedUrls : null,
+          skippedDuplicates: smartDedup
+            ? skippedUrls.filter((s) => s.reason === "duplicate_pattern").length
+            : null,
+          skippedUrls:
+            smartDedup || skippedUrls.length > 0 ? skippedUrls : null,
+          skippedByReason: skippedUrls.reduce((counts, { reason }) => {
+            counts[reason] = (counts[reason] || 0) + 1;
+            return counts;
+          }, {}),
+          sitemapUrlsSeeded: useSitemap ? sitemapSeeded : null,
+          accessibility: accessibilityAudit
+            ? summarizeAccessibility(results)
+            : null,
+          siteTour: siteTourResult,
+          robots: respectRobots
+            ? {
+                userAgent: robotsUserAgent,
+                loaded: Boolean(robots),
+                crawlDelay: robots ? robots.crawlDelay : null,
+                disallowedUrls: skippedUrls.filter(
+                  (s) => s.reason === "robots_disallowed"
+                ).length,
+              }
+            : null,
           results,
         },
         null,
@@ -845,6 +3310,7 @@ async function crawlWebsite(sessionId, startUrl, options, socket) {
 
     socket.emit("complete", {
       sessionId,
+      status,
       totalPages: results.length,
       results,
     });
@@ -853,6 +3319,77 @@ async function crawlWebsite(sessionId, startUrl, options, socket) {
   }
 }
 
+// Read the checkpoint left by an unfinished crawl, or null if there isn't one.
+// Throws when the file is there but can't be parsed.
+function readCheckpoint(sessionId) {
+  if (!sessionId || path.basename(sessionId) !== sessionId) return null;
+
+  const checkpointPath = path.join(
+    screenshotsDir,
+    sessionId,
+    "checkpoint.json"
+  );
+  if (!fs.existsSync(checkpointPath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(checkpointPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Checkpoint is unreadable: ${error.message}`);
+  }
+}
+
+// Crawls and recordings report their own errors, this catches what still
+// escapes them (e.g. summary.json failing to write) so it doesn't become an
+// unhandled rejection or leave the session marked as running
+function handleJobError(session, emitter) {
+  return (error) => {
+    console.error(`Session ${session.id} failed: ${error.message}`);
+    session.status = "failed";
+    activeSessions.delete(session.id);
+    emitter.emit("status", { type: "error", message: error.message });
+  };
+}
+
+// Restart an interrupted crawl from its checkpoint under the same session ID.
+// Credentials aren't checkpointed, so they have to be passed in again.
+function resumeCrawl(sessionId, overrides = {}, socket = null) {
+  if (activeSessions.has(sessionId)) {
+    throw new Error("Session is already running");
+  }
+
+  const checkpoint = readCheckpoint(sessionId);
+  if (!checkpoint) {
+    throw new Error("Session not found or has nothing to resume");
+  }
+
+  const { auth, ...savedOptions } = checkpoint.options;
+  const options = { ...savedOptions, ...overrides };
+  const session = createSession(
+    checkpoint.startUrl,
+    options,
+    "crawl",
+    sessionId
+  );
+  session.startTime = checkpoint.startTime;
+  session.schedule = checkpoint.schedule || undefined;
+
+  const emitter = createSessionEmitter(session, socket);
+  if (auth && !options.httpAuth && !options.cookies && !options.login) {
+    emitter.emit("status", {
+      type: "warning",
+      message: "This crawl used authentication, supply it again to resume",
+    });
+  }
+
+  crawlWebsite(
+    sessionId,
+    checkpoint.startUrl,
+    options,
+    emitter,
+    checkpoint
+  ).catch(handleJobError(session, emitter));
+  return session;
+}
+
 // Socket.io connection handling
 io.on("connection", (socket) => {
   console.log("Client connected:", socket.id);
@@ -865,20 +3402,30 @@ io.on("connection", (socket) => {
       return;
     }
 
-    const sessionId = generateSessionId(url);
-    const session = {
-      id: sessionId,
-      url,
-      options,
-      startTime: new Date().toISOString(),
-      cancelled: false,
-    };
-
-    activeSessions.set(sessionId, session);
+    const session = createSession(url, options);
+    const sessionId = session.id;
     socket.emit("session-started", { sessionId, domain: getDomainName(url) });
 
     // Start crawling
-    crawlWebsite(sessionId, url, options, socket);
+    const emitter = createSessionEmitter(session, socket);
+    crawlWebsite(sessionId, url, options, emitter).catch(
+      handleJobError(session, emitter)
+    );
+  });
+
+  socket.on("resume-crawl", (data) => {
+    const { sessionId, options = {} } = data;
+
+    try {
+      const session = resumeCrawl(sessionId, options, socket);
+      socket.emit("session-started", {
+        sessionId,
+        domain: getDomainName(session.url),
+        resumed: true,
+      });
+    } catch (error) {
+      socket.emit("status", { type: "error", message: error.message });
+    }
   });
 
   socket.on("cancel-crawl", (data) => {
@@ -906,46 +3453,117 @@ io.on("connection", (socket) => {
       return;
     }
 
-    const sessionId = generateSessionId(url) + "_video";
-    const session = {
-      id: sessionId,
-      url,
-      options,
-      startTime: new Date().toISOString(),
-      type: "video",
-    };
-
-    activeSessions.set(sessionId, session);
+    const session = createSession(url, options, "video");
+    const sessionId = session.id;
     socket.emit("video-session-started", {
       sessionId,
       domain: getDomainName(url),
     });
 
     // Start video recording
-    recordSinglePageVideo(sessionId, url, options, socket);
+    const emitter = createSessionEmitter(session, socket);
+    recordSinglePageVideo(sessionId, url, options, emitter).catch(
+      handleJobError(session, emitter)
+    );
   });
 });
 
-// API endpoint to list previous sessions
+// Find the folder of a crawl or video session, or null if there isn't one
+function findSessionDir(sessionId) {
+  // Session IDs are plain folder names, never paths
+  if (!sessionId || path.basename(sessionId) !== sessionId) return null;
+
+  for (const [type, dir] of [
+    ["crawl", screenshotsDir],
+    ["video", videosDir],
+  ]) {
+    const sessionDir = path.join(dir, sessionId);
+    if (fs.existsSync(sessionDir)) return { type, sessionDir };
+  }
+  return null;
+}
+
+// Session folders directly inside a screenshots or videos directory
+function listSessionDirs(dir) {
+  return fs
+    .readdirSync(dir)
+    .filter((entry) => fs.statSync(path.join(dir, entry)).isDirectory());
+}
+
+// History entry for a crawl session
+function describeCrawlSession(dir) {
+  const running = activeSessions.has(dir);
+  const summaryPath = path.join(screenshotsDir, dir, "summary.json");
+  if (fs.existsSync(summaryPath)) {
+    const summary = JSON.parse(fs.readFileSync(summaryPath, "utf8"));
+    return {
+      sessionId: dir,
+      type: "crawl",
+      ...summary,
+      thumbnail: findCrawlThumbnail(summary.results),
+      resumable: Boolean(summary.resumable) && !running,
+    };
+  }
+
+  // No summary yet: either still running or the server stopped mid-crawl
+  const checkpoint = readCheckpoint(dir);
+  if (checkpoint) {
+    return {
+      sessionId: dir,
+      type: "crawl",
+      startUrl: checkpoint.startUrl,
+      options: checkpoint.options,
+      schedule: checkpoint.schedule,
+      startTime: checkpoint.startTime,
+      status: running ? "running" : "interrupted",
+      resumable: !running,
+      pagesProcessed: checkpoint.results.length,
+      thumbnail: findCrawlThumbnail(checkpoint.results),
+    };
+  }
+  return { sessionId: dir, type: "crawl" };
+}
+
+// First page thumbnail of a crawl, shown in the history list
+function findCrawlThumbnail(results = []) {
+  const first = results.find((result) => result.thumbnail);
+  return first ? first.thumbnail : null;
+}
+
+// History entry for a video session, with its poster, duration and size
+function describeVideoSession(dir) {
+  const summaryPath = path.join(videosDir, dir, "summary.json");
+  if (!fs.existsSync(summaryPath)) {
+    const session = activeSessions.get(dir);
+    return {
+      sessionId: dir,
+      type: "video",
+      url: session ? session.url : undefined,
+      startTime: session ? session.startTime : undefined,
+      status: session ? "running" : "interrupted",
+    };
+  }
+
+  const summary = JSON.parse(fs.readFileSync(summaryPath, "utf8"));
+  const result = summary.result || {};
+  return {
+    sessionId: dir,
+    type: "video",
+    ...summary,
+    poster: result.poster || null,
+    duration: result.duration !== undefined ? result.duration : null,
+    fileSize: result.fileSize || null,
+    format: result.format || null,
+  };
+}
+
+// API endpoint to list previous crawl and video sessions
 app.get("/api/sessions", (req, res) => {
   try {
-    const sessions = fs
-      .readdirSync(screenshotsDir)
-      .filter((dir) =>
-        fs.statSync(path.join(screenshotsDir, dir)).isDirectory()
-      )
-      .map((dir) => {
-        const summaryPath = path.join(screenshotsDir, dir, "summary.json");
-        if (fs.existsSync(summaryPath)) {
-          const summary = JSON.parse(fs.readFileSync(summaryPath, "utf8"));
-          return {
-            sessionId: dir,
-            ...summary,
-          };
-        }
-        return { sessionId: dir };
-      })
-      .sort((a, b) => new Date(b.startTime || 0) - new Date(a.startTime || 0));
+    const sessions = [
+      ...listSessionDirs(screenshotsDir).map(describeCrawlSession),
+      ...listSessionDirs(videosDir).map(describeVideoSession),
+    ].sort((a, b) => new Date(b.startTime || 0) - new Date(a.startTime || 0));
 
     res.json(sessions);
   } catch (error) {
@@ -955,12 +3573,12 @@ app.get("/api/sessions", (req, res) => {
 
 // API endpoint to get session details
 app.get("/api/sessions/:sessionId", (req, res) => {
-  const { sessionId } = req.params;
-  const summaryPath = path.join(screenshotsDir, sessionId, "summary.json");
+  const found = findSessionDir(req.params.sessionId);
+  const summaryPath = found && path.join(found.sessionDir, "summary.json");
 
-  if (fs.existsSync(summaryPath)) {
+  if (summaryPath && fs.existsSync(summaryPath)) {
     const summary = JSON.parse(fs.readFileSync(summaryPath, "utf8"));
-    res.json(summary);
+    res.json({ type: found.type, ...summary });
   } else {
     res.status(404).json({ error: "Session not found" });
   }
@@ -968,32 +3586,34 @@ app.get("/api/sessions/:sessionId", (req, res) => {
 
 // API endpoint to delete a session
 app.delete("/api/sessions/:sessionId", (req, res) => {
-  const { sessionId } = req.params;
-  const sessionDir = path.join(screenshotsDir, sessionId);
+  const found = findSessionDir(req.params.sessionId);
 
-  if (fs.existsSync(sessionDir)) {
-    fs.rmSync(sessionDir, { recursive: true });
+  if (found) {
+    fs.rmSync(found.sessionDir, { recursive: true });
     res.json({ success: true });
   } else {
     res.status(404).json({ error: "Session not found" });
   }
 });
 
-// API endpoint to download all screenshots as ZIP
+// API endpoint to download a session's screenshots or video as ZIP
 app.get("/api/sessions/:sessionId/download", async (req, res) => {
   const { sessionId } = req.params;
-  const sessionDir = path.join(screenshotsDir, sessionId);
+  const found = findSessionDir(sessionId);
 
-  if (!fs.existsSync(sessionDir)) {
+  if (!found) {
     return res.status(404).json({ error: "Session not found" });
   }
+  const { type, sessionDir } = found;
 
   try {
     // Set up response headers for ZIP download
     res.setHeader("Content-Type", "application/zip");
     res.setHeader(
       "Content-Disposition",
-      `attachment; filename="${sessionId}-screenshots.zip"`
+      `attachment; filename="${sessionId}-${
+        type === "video" ? "video" : "screenshots"
+      }.zip"`
     );
 
     // Create archive
@@ -1010,20 +3630,37 @@ app.get("/api/sessions/:sessionId/download", async (req, res) => {
       res.status(500).json({ error: "Failed to create archive" });
     });
 
-    // Get all PNG files in session directory
-    const files = fs.readdirSync(sessionDir).filter((f) => f.endsWith(".png"));
+    // Screenshots, PDFs and page videos, or a video and its poster
+    const files = fs
+      .readdirSync(sessionDir)
+      .filter((f) => /\.(png|jpg|pdf|webm|mp4|gif|webp)$/.test(f));
+
+    // Crawl files can be named after their URL path with ?names=slug
+    const summaryPath = path.join(sessionDir, "summary.json");
+    const summary =
+      type === "crawl" && fs.existsSync(summaryPath)
+        ? JSON.parse(fs.readFileSync(summaryPath, "utf8"))
+        : null;
+    const archiveName =
+      summary && req.query.names === "slug"
+        ? createSlugNamer(summary.results)
+        : (file) => file;
 
     // Add each file to archive
     for (const file of files) {
       const filePath = path.join(sessionDir, file);
-      archive.file(filePath, { name: file });
+      archive.file(filePath, { name: archiveName(file) });
     }
 
-    // Also add summary.json if it exists
-    const summaryPath = path.join(sessionDir, "summary.json");
+    // Also add summary.json if it exists, and a gallery to browse a crawl
     if (fs.existsSync(summaryPath)) {
       archive.file(summaryPath, { name: "summary.json" });
     }
+    if (summary) {
+      archive.append(buildGalleryHtml(summary, archiveName), {
+        name: "index.html",
+      });
+    }
 
     // Finalize the archive
     await archive.finalize();
@@ -1033,9 +3670,1319 @@ app.get("/api/sessions/:sessionId/download", async (req, res) => {
   }
 });
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(
-    `🚀 Website Screenshot Crawler running at http://localhost:${PORT}`
+// "12 pages captured, 1 failed • <date>" line for reports and galleries
+function formatCrawlTotals(summary) {
+  const results = summary.results || [];
+  const failed = results.filter((result) => result.error).length;
+  return `${results.length - failed} pages captured${
+    failed ? `, ${failed} failed` : ""
+  } • ${new Date(summary.startTime || Date.now()).toLocaleString()}`;
+}
+
+// Filename-safe slug of a URL path, e.g. "/blog/my-post/" -> "blog-my-post"
+function getUrlSlug(url) {
+  let slug = "";
+  try {
+    const { pathname, search } = new URL(url);
+    slug = decodeURIComponent(pathname + search)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 80)
+      .replace(/-+$/, "");
+  } catch {
+    // Malformed URLs fall back to "home" like the root path
+  }
+  return slug || "home";
+}
+
+// Rename page_N files after their URL slug, e.g. page_3_thumb.jpg becomes
+// blog-my-post_thumb.jpg. Repeated slugs get the page number appended, and
+// a counter on top if another URL already slugged to that too.
+function createSlugNamer(results = []) {
+  const slugs = new Map();
+  const used = new Set();
+  for (const result of results) {
+    const base = getUrlSlug(result.url);
+    let slug = base;
+    for (let n = 1; used.has(slug); n++) {
+      slug = n === 1 ? `${base}-${result.id}` : `${base}-${result.id}-${n}`;
+    }
+    used.add(slug);
+    slugs.set(result.id, slug);
+  }
+  return (file) =>
+    file.replace(
+      /^page_(\d+)(?=[_.])/,
+      (match, id) => slugs.get(Number(id)) || match
+    );
+}
+
+// Offline gallery added to crawl ZIPs as index.html. The crawl is embedded
+// as JSON and rendered as text, so titles and URLs can't inject markup.
+const GALLERY_HTML = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>Screenshots</title>
+    <style>
+      body { margin: 0; padding: 24px; font: 14px system-ui, sans-serif;
+        color: #0f172a; background: #f8fafc; }
+      h1 { margin: 0 0 4px; font-size: 22px; word-break: break-all; }
+      h2 { margin: 32px 0 8px; font-size: 16px; }
+      a { color: #4f46e5; }
+      .muted { color: #64748b; word-break: break-all; }
+      .error { color: #dc2626; }
+      #search { width: 100%; max-width: 420px; margin: 16px 0; padding: 8px 12px;
+        border: 1px solid #cbd5e1; border-radius: 8px; font: inherit; }
+      #grid { display: grid; gap: 16px;
+        grid-template-columns: repeat(auto-fill, minmax(240px, 1fr)); }
+      .card { overflow: hidden; background: #fff; border: 1px solid #e2e8f0;
+        border-radius: 10px; }
+      .card img { display: block; width: 100%; aspect-ratio: 16 / 10;
+        object-fit: cover; object-position: top; background: #e2e8f0;
+        cursor: zoom-in; }
+      .card .body { padding: 10px 12px; }
+      .card .title { overflow: hidden; font-weight: 600; white-space: nowrap;
+        text-overflow: ellipsis; }
+      .card .files a { margin-right: 8px; font-size: 12px; }
+      #lightbox { position: fixed; inset: 0; display: none; overflow: auto;
+        padding: 24px; background: rgba(15, 23, 42, 0.9); cursor: zoom-out; }
+      #lightbox.open { display: block; }
+      #lightbox img { display: block; max-width: 100%; margin: 0 auto; }
+    </style>
+  </head>
+  <body>
+    <h1 id="start-url"></h1>
+    <div id="summary" class="muted"></div>
+    <input id="search" type="search" placeholder="Search titles and URLs" />
+    <div id="grid"></div>
+    <section id="errors" hidden>
+      <h2>Failed pages</h2>
+      <ul></ul>
+    </section>
+    <section id="skipped" hidden>
+      <h2>Skipped URLs</h2>
+      <ul></ul>
+    </section>
+    <div id="lightbox"><img alt="" /></div>
+    <script id="data" type="application/json">__DATA__</script>
+    <script>
+      var data = JSON.parse(document.getElementById("data").textContent);
+      var grid = document.getElementById("grid");
+      var lightbox = document.getElementById("lightbox");
+      var cards = [];
+
+      function add(parent, tag, text, className) {
+        var element = document.createElement(tag);
+        if (text) element.textContent = text;
+        if (className) element.className = className;
+        parent.appendChild(element);
+        return element;
+      }
+
+      function addLink(parent, text, href, className) {
+        var link = add(parent, "a", text, className);
+        link.href = href;
+        return link;
+      }
+
+      document.title = "Screenshots of " + data.startUrl;
+      document.getElementById("start-url").textContent = data.startUrl;
+      document.getElementById("summary").textContent = data.summary;
+      if (data.tour) {
+        addLink(document.getElementById("summary"), " • Site tour", data.tour);
+      }
+
+      data.pages.forEach(function (page) {
+        if (page.error) {
+          var item = add(document.querySelector("#errors ul"), "li");
+          addLink(item, page.url, page.url);
+          add(item, "span", " " + page.error, "error");
+          document.getElementById("errors").hidden = false;
+          return;
+        }
+
+        var card = add(grid, "div", null, "card");
+        var image = add(card, "img");
+        image.src = page.thumbnail || page.screenshot;
+        image.alt = page.title;
+        image.loading = "lazy";
+        image.addEventListener("click", function () {
+          lightbox.querySelector("img").src = page.screenshot;
+          lightbox.classList.add("open");
+        });
+
+        var body = add(card, "div", null, "body");
+        add(body, "div", page.title, "title");
+        addLink(body, page.url, page.url, "muted");
+        var files = add(body, "div", null, "files");
+        page.files.forEach(function (file) {
+          addLink(files, file.label, file.name);
+        });
+        var text = (page.title + " " + page.url).toLowerCase();
+        cards.push({ card: card, text: text });
+      });
+
+      data.skipped.forEach(function (skip) {
+        var item = add(document.querySelector("#skipped ul"), "li");
+        add(item, "span", skip.url);
+        add(item, "span", " (" + skip.reason + ")", "muted");
+        document.getElementById("skipped").hidden = false;
+      });
+
+      document.getElementById("search").addEventListener("input", function () {
+        var query = this.value.trim().toLowerCase();
+        cards.forEach(function (entry) {
+          entry.card.hidden = query !== "" && entry.text.indexOf(query) === -1;
+        });
+      });
+
+      function closeLightbox() {
+        lightbox.classList.remove("open");
+      }
+      lightbox.addEventListener("click", closeLightbox);
+      document.addEventListener("keydown", function (event) {
+        if (event.key === "Escape") closeLightbox();
+      });
+    </script>
+  </body>
+</html>`;
+
+// Fill in the gallery for a crawl ZIP, linking each file by its archive name
+function buildGalleryHtml(summary, archiveName) {
+  const file = (url) => (url ? archiveName(path.basename(url)) : null);
+  const data = {
+    startUrl: summary.startUrl,
+    summary: formatCrawlTotals(summary),
+    tour: summary.siteTour ? file(summary.siteTour.video) : null,
+    pages: (summary.results || []).map((result) => ({
+      title: result.title,
+      url: result.url,
+      error: result.error,
+      screenshot: file(result.screenshot),
+      thumbnail: file(result.thumbnail),
+      files: [
+        ...(result.screenshots || []).map((shot) => ({
+          label: `${shot.width}px${
+            shot.deviceScaleFactor > 1 ? ` @${shot.deviceScaleFactor}x` : ""
+          }`,
+          name: file(shot.screenshot),
+        })),
+        ...(result.elements || [])
+          .filter((element) => element.screenshot)
+          .map((element) => ({
+            label: element.name,
+            name: file(element.screenshot),
+          })),
+        ...(result.pdf ? [{ label: "PDF", name: file(result.pdf) }] : []),
+        ...(result.video ? [{ label: "Video", name: file(result.video) }] : []),
+      ],
+    })),
+    skipped: summary.skippedUrls || [],
+  };
+
+  // Escape "<" so a title can't close the script tag early
+  const json = JSON.stringify(data).replace(/</g, "\\u003c");
+  return GALLERY_HTML.replace("__DATA__", () => json);
+}
+
+// Combined PDF report of a crawl, filled in by createSessionReport. Loaded
+// from the session folder so the screenshots can be linked by filename.
+const REPORT_HTML = `<!DOCTYPE html>
+  <html>
+    <head>
+      <meta charset="utf-8" />
+      <style>
+        body { margin: 0; font: 12px system-ui, sans-serif; color: #0f172a; }
+        .cover { height: 240mm; display: flex; flex-direction: column;
+          justify-content: center; gap: 12px; }
+        .cover h1 { margin: 0; font-size: 32px; }
+        .muted { color: #64748b; word-break: break-all; }
+        .toc, .page { break-before: page; }
+        .toc li { margin-bottom: 6px; }
+        .toc a { color: inherit; text-decoration: none; font-weight: 600; }
+        .page h2 { margin: 0 0 4px; font-size: 16px; }
+        .page img { display: block; width: 100%; margin-top: 12px;
+          border: 1px solid #e2e8f0; }
+        .error { color: #dc2626; }
+      </style>
+    </head>
+    <body>
+      <section class="cover">
+        <h1>Screenshot Report</h1>
+        <div id="start-url" class="muted"></div>
+        <div id="summary"></div>
+      </section>
+      <section class="toc">
+        <h2>Contents</h2>
+        <ol id="toc"></ol>
+      </section>
+      <main id="pages"></main>
+    </body>
+  </html>`;
+
+// Build a PDF from a crawl's summary.json: a cover page, a table of contents
+// linking to every page, then each page's screenshot. Returns the PDF buffer.
+async function createSessionReport(sessionId, summary) {
+  const sessionDir = path.join(screenshotsDir, sessionId);
+  const templatePath = path.join(sessionDir, `report_${uuidv4()}.html`);
+  const results = [...(summary.results || [])].sort((a, b) => a.id - b.id);
+
+  fs.writeFileSync(templatePath, REPORT_HTML);
+  let browser;
+  try {
+    browser = await puppeteer.launch({
+      headless: "new",
+      args: [
+        "--no-sandbox",
+        "--disable-setuid-sandbox",
+        "--disable-dev-shm-usage",
+      ],
+    });
+    const page = await browser.newPage();
+    await page.goto(pathToFileURL(templatePath).href);
+
+    // Set as text so titles and URLs can't inject markup
+    await page.evaluate(
+      async (report) => {
+        const add = (parent, tag, text, className) => {
+          const element = document.createElement(tag);
+          if (text) element.textContent = text;
+          if (className) element.className = className;
+          parent.appendChild(element);
+          return element;
+        };
+
+        document.getElementById("start-url").textContent = report.startUrl;
+        document.getElementById("summary").textContent = report.summary;
+
+        const toc = document.getElementById("toc");
+        const pages = document.getElementById("pages");
+        for (const result of report.results) {
+          const item = add(toc, "li");
+          const link = add(item, "a", result.title);
+          link.href = `#page-${result.id}`;
+          add(item, "div", result.url, "muted");
+
+          const section = add(pages, "section", null, "page");
+          section.id = `page-${result.id}`;
+          add(section, "h2", result.title);
+          add(section, "div", result.url, "muted");
+          if (result.error) {
+            add(section, "p", `Capture failed: ${result.error}`, "error");
+          } else {
+            add(section, "img").src = result.screenshot;
+          }
+        }
+
+        // Don't print before every screenshot has been decoded
+        await Promise.all(
+          [...document.images].map((image) => image.decode().catch(() => {}))
+        );
+      },
+      {
+        startUrl: summary.startUrl,
+        summary: formatCrawlTotals(summary),
+        results: results.map((result) => ({
+          id: result.id,
+          url: result.url,
+          title: result.title,
+          error: result.error,
+          screenshot: result.screenshot && path.basename(result.screenshot),
+        })),
+      }
+    );
+
+    return await page.pdf({
+      format: "A4",
+      printBackground: true,
+      margin: { top: "12mm", right: "12mm", bottom: "16mm", left: "12mm" },
+      displayHeaderFooter: true,
+      headerTemplate: "<span></span>",
+      footerTemplate: `<div style="width:100%;text-align:center;font-size:8px;
+        color:#64748b"><span class="pageNumber"></span> /
+        <span class="totalPages"></span></div>`,
+    });
+  } finally {
+    if (browser) await browser.close();
+    fs.rmSync(templatePath, { force: true });
+  }
+}
+
+// API endpoint to download a crawl session as one PDF report
+app.get("/api/sessions/:sessionId/report", async (req, res) => {
+  const { sessionId } = req.params;
+  const summary = readSessionSummary(sessionId);
+  if (!summary) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+
+  try {
+    const pdf = await createSessionReport(sessionId, summary);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${sessionId}-report.pdf"`
+    );
+    res.send(pdf);
+  } catch (error) {
+    console.error("Report error:", error);
+    res.status(500).json({ error: "Failed to create report" });
+  }
+});
+
+// Validate a REST job request, responding with 400 when it's unusable
+function readJobRequest(req, res, validateOptions) {
+  const { url, options = {} } = req.body || {};
+
+  try {
+    new URL(url);
+  } catch {
+    res.status(400).json({ error: "A valid url is required" });
+    return null;
+  }
+
+  if (typeof options !== "object" || Array.isArray(options)) {
+    res.status(400).json({ error: "options must be an object" });
+    return null;
+  }
+
+  try {
+    validateOptions(options);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return null;
+  }
+
+  return { url, options };
+}
+
+// API endpoint to start a crawl
+app.post("/api/crawls", (req, res) => {
+  const job = readJobRequest(req, res, validateCrawlOptions);
+  if (!job) return;
+
+  const session = createSession(job.url, job.options);
+  const emitter = createSessionEmitter(session);
+  crawlWebsite(session.id, job.url, job.options, emitter).catch(
+    handleJobError(session, emitter)
+  );
+
+  res.status(202).json({
+    sessionId: session.id,
+    status: session.status,
+    statusUrl: `/api/crawls/${session.id}`,
+  });
+});
+
+// API endpoint to start a video recording
+app.post("/api/videos", (req, res) => {
+  const job = readJobRequest(req, res, validatePageVideoOptions);
+  if (!job) return;
+
+  const session = createSession(job.url, job.options, "video");
+  const emitter = createSessionEmitter(session);
+  recordSinglePageVideo(session.id, job.url, job.options, emitter).catch(
+    handleJobError(session, emitter)
   );
+
+  res.status(202).json({
+    sessionId: session.id,
+    status: session.status,
+    statusUrl: `/api/videos/${session.id}`,
+  });
+});
+
+// API endpoint to poll a crawl or video job
+app.get(["/api/crawls/:sessionId", "/api/videos/:sessionId"], (req, res) => {
+  const { sessionId } = req.params;
+
+  // Running jobs are served from memory
+  const session = activeSessions.get(sessionId);
+  if (session) {
+    return res.json({
+      sessionId,
+      type: session.type,
+      url: session.url,
+      options: redactOptions(session.options),
+      schedule: session.schedule || null,
+      status: session.status,
+      cancelled: session.cancelled,
+      startTime: session.startTime,
+      progress: session.progress,
+      results: session.results,
+      siteTour: session.siteTour || null,
+      log: session.log.slice(-20),
+      error: session.error || null,
+    });
+  }
+
+  // Finished jobs are served from their summary.json
+  const found = findSessionDir(sessionId);
+  if (found) {
+    const { type } = found;
+    const summaryPath = path.join(found.sessionDir, "summary.json");
+    if (fs.existsSync(summaryPath)) {
+      const summary = JSON.parse(fs.readFileSync(summaryPath, "utf8"));
+      return res.json({
+        sessionId,
+        type,
+        url: summary.startUrl || summary.url,
+        options: summary.options,
+        schedule: summary.schedule || null,
+        status: summary.status || "completed",
+        startTime: summary.startTime,
+        endTime: summary.endTime,
+        progress: null,
+        results: summary.results || (summary.result ? [summary.result] : []),
+        siteTour: summary.siteTour || null,
+        error: summary.error || null,
+      });
+    }
+  }
+
+  // Crawls cut off by a restart only have their checkpoint
+  const checkpoint = readCheckpoint(sessionId);
+  if (checkpoint) {
+    return res.json({
+      sessionId,
+      type: "crawl",
+      url: checkpoint.startUrl,
+      options: checkpoint.options,
+      status: "interrupted",
+      startTime: checkpoint.startTime,
+      progress: null,
+      results: checkpoint.results,
+      error: null,
+    });
+  }
+
+  res.status(404).json({ error: "Session not found" });
+});
+
+// API endpoint to cancel a running crawl
+app.post("/api/crawls/:sessionId/cancel", (req, res) => {
+  const session = activeSessions.get(req.params.sessionId);
+
+  if (!session) {
+    return res.status(404).json({ error: "No running crawl with that ID" });
+  }
+  if (session.type !== "crawl") {
+    return res
+      .status(400)
+      .json({ error: "Only crawls can be cancelled, not video recordings" });
+  }
+
+  session.cancelled = true;
+  res.json({ sessionId: session.id, cancelled: true });
+});
+
+// API endpoint to resume an interrupted or cancelled crawl
+app.post("/api/crawls/:sessionId/resume", (req, res) => {
+  const { options = {} } = req.body || {};
+
+  if (typeof options !== "object" || Array.isArray(options)) {
+    return res.status(400).json({ error: "options must be an object" });
+  }
+
+  try {
+    const session = resumeCrawl(req.params.sessionId, options);
+    res.status(202).json({
+      sessionId: session.id,
+      status: session.status,
+      statusUrl: `/api/crawls/${session.id}`,
+    });
+  } catch (error) {
+    // An unreadable checkpoint is a server-side problem, not a conflict
+    const status = error.message.startsWith("Session not found")
+      ? 404
+      : error.message.startsWith("Checkpoint is unreadable")
+      ? 500
+      : 409;
+    res.status(status).json({ error: error.message });
+  }
 });
+
+// Ensure comparisons directory exists
+const comparisonsDir = path.join(__dirname, "comparisons");
+if (!fs.existsSync(comparisonsDir)) {
+  fs.mkdirSync(comparisonsDir, { recursive: true });
+}
+
+// Read a crawl session summary, or null if the session doesn't exist
+function readSessionSummary(sessionId) {
+  // Session IDs are folder names - reject anything that could escape the directory
+  if (!sessionId || path.basename(sessionId) !== sessionId) return null;
+
+  const summaryPath = path.join(screenshotsDir, sessionId, "summary.json");
+  if (!fs.existsSync(summaryPath)) return null;
+  return JSON.parse(fs.readFileSync(summaryPath, "utf8"));
+}
+
+// Index page results by normalized URL, failed captures included so they're
+// reported as errors rather than as added or removed pages
+function indexResultsByUrl(summary) {
+  const byUrl = new Map();
+  for (const result of summary.results || []) {
+    byUrl.set(normalizeUrl(result.url), result);
+  }
+  return byUrl;
+}
+
+// Copy a PNG onto a transparent canvas so images of different sizes can be diffed
+function padPng(png, width, height) {
+  if (png.width === width && png.height === height) return png;
+  const padded = new PNG({ width, height });
+  PNG.bitblt(png, padded, 0, 0, png.width, png.height, 0, 0);
+  return padded;
+}
+
+// Pixel-diff two screenshots and write the diff image
+function diffScreenshots(basePath, targetPath, diffPath, threshold) {
+  // pixelmatch needs lossless pixels, JPEG artifacts would all show as changes
+  if (![basePath, targetPath].every((file) => file.endsWith(".png"))) {
+    throw new Error("Visual diffs need PNG screenshots in both sessions");
+  }
+  const base = PNG.sync.read(fs.readFileSync(basePath));
+  const target = PNG.sync.read(fs.readFileSync(targetPath));
+
+  // Full-page screenshots rarely share a height, so compare on the larger canvas
+  const width = Math.max(base.width, target.width);
+  const height = Math.max(base.height, target.height);
+  const diff = new PNG({ width, height });
+
+  const diffPixels = pixelmatch(
+    padPng(base, width, height).data,
+    padPng(target, width, height).data,
+    diff.data,
+    width,
+    height,
+    { threshold }
+  );
+
+  fs.writeFileSync(diffPath, PNG.sync.write(diff));
+
+  return {
+    diffPixels,
+    mismatchPercentage: Number(
+      ((diffPixels / (width * height)) * 100).toFixed(2)
+    ),
+    baseSize: { width: base.width, height: base.height },
+    targetSize: { width: target.width, height: target.height },
+  };
+}
+
+// Compare two crawl sessions page by page
+async function compareSessions(baseSessionId, targetSessionId, options = {}) {
+  const { threshold = 0.1 } = options;
+
+  const baseSummary = readSessionSummary(baseSessionId);
+  const targetSummary = readSessionSummary(targetSessionId);
+  if (!baseSummary || !targetSummary) {
+    throw new Error("Session not found");
+  }
+
+  const comparisonId = `${baseSessionId}__vs__${targetSessionId}`;
+  const comparisonDir = path.join(comparisonsDir, comparisonId);
+  if (!fs.existsSync(comparisonDir)) {
+    fs.mkdirSync(comparisonDir, { recursive: true });
+  }
+
+  const baseResults = indexResultsByUrl(baseSummary);
+  const targetResults = indexResultsByUrl(targetSummary);
+
+  const pages = [];
+  const added = [];
+  const removed = [];
+
+  for (const [url, baseResult] of baseResults) {
+    const targetResult = targetResults.get(url);
+    if (!targetResult) {
+      removed.push({
+        url,
+        title: baseResult.title,
+        screenshot: baseResult.screenshot,
+      });
+      continue;
+    }
+
+    const diffFilename = `diff_${pages.length + 1}.png`;
+    const page = {
+      url,
+      title: targetResult.title || baseResult.title,
+      base: baseResult.screenshot,
+      target: targetResult.screenshot,
+    };
+
+    const failed = [
+      ["baseline", baseResult],
+      ["compared", targetResult],
+    ].find(([, result]) => !result.screenshot);
+    if (failed) {
+      const [session, result] = failed;
+      const reason = result.error || "no screenshot";
+      pages.push({
+        ...page,
+        status: "error",
+        error: `Capture failed in the ${session} session: ${reason}`,
+      });
+      continue;
+    }
+
+    try {
+      const diff = diffScreenshots(
+        path.join(
+          screenshotsDir,
+          baseSessionId,
+          path.basename(baseResult.screenshot)
+        ),
+        path.join(
+          screenshotsDir,
+          targetSessionId,
+          path.basename(targetResult.screenshot)
+        ),
+        path.join(comparisonDir, diffFilename),
+        threshold
+      );
+      pages.push({
+        ...page,
+        status: diff.diffPixels > 0 ? "changed" : "unchanged",
+        diff: `/comparisons/${comparisonId}/${diffFilename}`,
+        ...diff,
+      });
+    } catch (error) {
+      pages.push({ ...page, status: "error", error: error.message });
+    }
+
+    // Decoding large PNGs blocks, so give other requests a chance between pages
+    await new Promise((r) => setImmediate(r));
+  }
+
+  for (const [url, targetResult] of targetResults) {
+    if (!baseResults.has(url)) {
+      added.push({
+        url,
+        title: targetResult.title,
+        screenshot: targetResult.screenshot,
+      });
+    }
+  }
+
+  // Most changed pages first
+  pages.sort(
+    (a, b) => (b.mismatchPercentage || 0) - (a.mismatchPercentage || 0)
+  );
+
+  const comparison = {
+    comparisonId,
+    baseSessionId,
+    targetSessionId,
+    baseUrl: baseSummary.startUrl,
+    targetUrl: targetSummary.startUrl,
+    threshold,
+    createdAt: new Date().toISOString(),
+    totals: {
+      compared: pages.length,
+      changed: pages.filter((p) => p.status === "changed").length,
+      unchanged: pages.filter((p) => p.status === "unchanged").length,
+      errors: pages.filter((p) => p.status === "error").length,
+      added: added.length,
+      removed: removed.length,
+    },
+    pages,
+    added,
+    removed,
+  };
+
+  fs.writeFileSync(
+    path.join(comparisonDir, "comparison.json"),
+    JSON.stringify(comparison, null, 2)
+  );
+
+  return comparison;
+}
+
+// API endpoint to compare two sessions
+app.post("/api/compare", async (req, res) => {
+  const { baseSessionId, targetSessionId, threshold } = req.body || {};
+
+  if (!baseSessionId || !targetSessionId) {
+    return res
+      .status(400)
+      .json({ error: "baseSessionId and targetSessionId are required" });
+  }
+
+  // Number("abc") is NaN, which no pixel difference ever exceeds
+  const pixelThreshold = threshold != null ? Number(threshold) : undefined;
+  if (
+    pixelThreshold !== undefined &&
+    (threshold === "" ||
+      !Number.isFinite(pixelThreshold) ||
+      pixelThreshold < 0 ||
+      pixelThreshold > 1)
+  ) {
+    return res
+      .status(400)
+      .json({ error: "threshold must be a number between 0 and 1" });
+  }
+
+  try {
+    const comparison = await compareSessions(baseSessionId, targetSessionId, {
+      threshold: pixelThreshold,
+    });
+    res.json(comparison);
+  } catch (error) {
+    const status = error.message === "Session not found" ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Saved crawl schedules. Unlike summaries this file keeps credentials, every
+// run needs them, so the API only ever returns redacted options.
+const schedulesPath = path.join(__dirname, "schedules.json");
+const scheduledTasks = new Map(); // Schedule ID -> node-cron task
+
+function loadSchedules(filePath = schedulesPath) {
+  if (!fs.existsSync(filePath)) return [];
+  const schedules = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!Array.isArray(schedules)) {
+    throw new Error(`${filePath} is not a list of schedules`);
+  }
+  return schedules;
+}
+
+function saveSchedules(schedules) {
+  fs.writeFileSync(schedulesPath, JSON.stringify(schedules, null, 2));
+}
+
+// Merge changes into a saved schedule, ignoring schedules deleted meanwhile
+function updateSchedule(scheduleId, changes) {
+  const schedules = loadSchedules();
+  const schedule = schedules.find((s) => s.id === scheduleId);
+  if (!schedule) return null;
+
+  Object.assign(schedule, changes, { updatedAt: new Date().toISOString() });
+  saveSchedules(schedules);
+  return schedule;
+}
+
+// Schedule as returned by the API
+function describeSchedule(schedule) {
+  return {
+    ...schedule,
+    options: redactOptions(schedule.options),
+    running: activeSessions.has(schedule.lastSessionId),
+  };
+}
+
+// Validate a schedule body. Fields left out keep their current value, and
+// credentials left out of the options are kept unless set to null.
+function readScheduleRequest(body, existing = null) {
+  const {
+    name,
+    url,
+    cron: expression,
+    timezone,
+    enabled,
+    options,
+  } = body || {};
+  const schedule = existing ? { ...existing } : { enabled: true, options: {} };
+
+  if (url !== undefined || !existing) {
+    try {
+      new URL(url);
+    } catch {
+      return { error: "A valid url is required" };
+    }
+    schedule.url = url;
+  }
+
+  if (expression !== undefined || !existing) {
+    if (typeof expression !== "string" || !cron.validate(expression)) {
+      return { error: "A valid cron expression is required" };
+    }
+    schedule.cron = expression.trim();
+  }
+
+  if (timezone !== undefined) {
+    try {
+      if (timezone) new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    } catch {
+      return { error: `Unknown timezone "${timezone}"` };
+    }
+    schedule.timezone = timezone || null;
+  }
+
+  if (options !== undefined) {
+    if (!options || typeof options !== "object" || Array.isArray(options)) {
+      return { error: "options must be an object" };
+    }
+    try {
+      validateCrawlOptions(options);
+    } catch (error) {
+      return { error: error.message };
+    }
+    const { httpAuth, cookies, login } = schedule.options;
+    const { auth, ...rest } = options;
+    schedule.options = { httpAuth, cookies, login, ...rest };
+    for (const key of ["httpAuth", "cookies", "login"]) {
+      if (!schedule.options[key]) delete schedule.options[key];
+    }
+  }
+
+  if (enabled !== undefined) schedule.enabled = Boolean(enabled);
+  if (name !== undefined || !schedule.name) {
+    schedule.name = (name || "").trim() || new URL(schedule.url).hostname;
+  }
+
+  return { schedule };
+}
+
+// Start one crawl for a schedule, just like a crawl started from the UI
+function runSchedule(scheduleId) {
+  const schedule = loadSchedules().find((s) => s.id === scheduleId);
+  if (!schedule) throw new Error("Schedule not found");
+
+  // Don't stack runs when a crawl takes longer than the schedule interval
+  if (activeSessions.has(schedule.lastSessionId)) {
+    throw new Error("The previous run is still in progress");
+  }
+
+  const session = createSession(schedule.url, schedule.options);
+  session.schedule = { id: schedule.id, name: schedule.name };
+  updateSchedule(schedule.id, {
+    lastRunAt: session.startTime,
+    lastSessionId: session.id,
+    lastStatus: "running",
+  });
+
+  crawlWebsite(
+    session.id,
+    schedule.url,
+    schedule.options,
+    createSessionEmitter(session)
+  )
+    .then(() => {
+      const summary = readSessionSummary(session.id);
+      updateSchedule(schedule.id, {
+        lastStatus: summary ? summary.status : "failed",
+      });
+    })
+    .catch((error) => {
+      // e.g. a corrupt summary.json, this must not become an unhandled rejection
+      console.error(`⏰ Schedule "${schedule.name}": ${error.message}`);
+      try {
+        updateSchedule(schedule.id, { lastStatus: "failed" });
+      } catch (saveError) {
+        console.error(`⏰ Schedule "${schedule.name}": ${saveError.message}`);
+      }
+    });
+
+  return session;
+}
+
+// (Re)register the cron task for a schedule, dropping it when disabled
+function startScheduleTask(schedule) {
+  stopScheduleTask(schedule.id);
+  if (!schedule.enabled) return;
+
+  const task = cron.schedule(
+    schedule.cron,
+    () => {
+      try {
+        const session = runSchedule(schedule.id);
+        console.log(`⏰ Schedule "${schedule.name}" started ${session.id}`);
+      } catch (error) {
+        console.error(`⏰ Schedule "${schedule.name}": ${error.message}`);
+      }
+    },
+    { timezone: schedule.timezone || undefined }
+  );
+  scheduledTasks.set(schedule.id, task);
+}
+
+// Register the saved schedules at startup. A corrupt file or a schedule that
+// won't start is logged and skipped, it must not keep the server from starting.
+// The file is left as it is so it can be fixed by hand.
+function startSavedSchedules(filePath = schedulesPath) {
+  let schedules;
+  try {
+    schedules = loadSchedules(filePath);
+  } catch (error) {
+    console.error(`⏰ Schedules not loaded: ${error.message}`);
+    return [];
+  }
+
+  return schedules.filter((schedule) => {
+    try {
+      startScheduleTask(schedule);
+      return true;
+    } catch (error) {
+      console.error(`⏰ Schedule "${schedule.name}": ${error.message}`);
+      return false;
+    }
+  });
+}
+
+function stopScheduleTask(scheduleId) {
+  const task = scheduledTasks.get(scheduleId);
+  if (task) {
+    task.stop();
+    scheduledTasks.delete(scheduleId);
+  }
+}
+
+// API endpoint to list schedules
+app.get("/api/schedules", (req, res) => {
+  res.json(loadSchedules().map(describeSchedule));
+});
+
+// API endpoint to create a schedule
+app.post("/api/schedules", (req, res) => {
+  const { schedule, error } = readScheduleRequest(req.body);
+  if (error) return res.status(400).json({ error });
+
+  schedule.id = uuidv4();
+  schedule.createdAt = new Date().toISOString();
+  schedule.updatedAt = schedule.createdAt;
+
+  saveSchedules([...loadSchedules(), schedule]);
+  startScheduleTask(schedule);
+  res.status(201).json(describeSchedule(schedule));
+});
+
+// API endpoint to get a schedule
+app.get("/api/schedules/:scheduleId", (req, res) => {
+  const schedule = loadSchedules().find((s) => s.id === req.params.scheduleId);
+  if (!schedule) return res.status(404).json({ error: "Schedule not found" });
+  res.json(describeSchedule(schedule));
+});
+
+// API endpoint to edit, enable or disable a schedule
+app.put("/api/schedules/:scheduleId", (req, res) => {
+  const schedules = loadSchedules();
+  const index = schedules.findIndex((s) => s.id === req.params.scheduleId);
+  if (index === -1) {
+    return res.status(404).json({ error: "Schedule not found" });
+  }
+
+  const { schedule, error } = readScheduleRequest(req.body, schedules[index]);
+  if (error) return res.status(400).json({ error });
+
+  schedule.updatedAt = new Date().toISOString();
+  schedules[index] = schedule;
+  saveSchedules(schedules);
+  startScheduleTask(schedule);
+  res.json(describeSchedule(schedule));
+});
+
+// API endpoint to delete a schedule, its past sessions are kept
+app.delete("/api/schedules/:scheduleId", (req, res) => {
+  const schedules = loadSchedules();
+  const remaining = schedules.filter((s) => s.id !== req.params.scheduleId);
+  if (remaining.length === schedules.length) {
+    return res.status(404).json({ error: "Schedule not found" });
+  }
+
+  saveSchedules(remaining);
+  stopScheduleTask(req.params.scheduleId);
+  res.json({ success: true });
+});
+
+// API endpoint to run a schedule right away
+app.post("/api/schedules/:scheduleId/run", (req, res) => {
+  try {
+    const session = runSchedule(req.params.scheduleId);
+    res.status(202).json({
+      sessionId: session.id,
+      status: session.status,
+      statusUrl: `/api/crawls/${session.id}`,
+    });
+  } catch (error) {
+    const status = error.message === "Schedule not found" ? 404 : 409;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Outgoing webhooks, kept in one JSON file like the schedules. Signing
+// secrets are stored so deliveries can be signed but never returned.
+const webhooksPath = path.join(__dirname, "webhooks.json");
+const WEBHOOK_EVENTS = [
+  "session.started",
+  "session.completed",
+  "session.failed",
+  "session.cancelled",
+];
+const WEBHOOK_ATTEMPTS = 5; // First try plus four retries
+const WEBHOOK_RETRY_DELAY = 1000; // Doubled after every failed attempt
+
+function loadWebhooks() {
+  if (!fs.existsSync(webhooksPath)) return [];
+  return JSON.parse(fs.readFileSync(webhooksPath, "utf8"));
+}
+
+function saveWebhooks(webhooks) {
+  fs.writeFileSync(webhooksPath, JSON.stringify(webhooks, null, 2));
+}
+
+// Webhook as returned by the API
+function describeWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return { ...rest, signed: Boolean(secret) };
+}
+
+// Validate a webhook body. Fields left out keep their current value.
+function readWebhookRequest(body, existing = null) {
+  const { url, secret, events, enabled } = body || {};
+  const webhook = existing
+    ? { ...existing }
+    : { secret: null, events: WEBHOOK_EVENTS, enabled: true };
+
+  if (url !== undefined || !existing) {
+    try {
+      if (!/^https?:$/.test(new URL(url).protocol)) throw new Error();
+    } catch {
+      return { error: "A valid http(s) url is required" };
+    }
+    webhook.url = url;
+  }
+
+  if (events !== undefined) {
+    if (
+      !Array.isArray(events) ||
+      events.length === 0 ||
+      events.some((event) => !WEBHOOK_EVENTS.includes(event))
+    ) {
+      return {
+        error: `events must be a list of: ${WEBHOOK_EVENTS.join(", ")}`,
+      };
+    }
+    webhook.events = events;
+  }
+
+  if (secret !== undefined) {
+    if (secret && typeof secret !== "string") {
+      return { error: "secret must be a string" };
+    }
+    webhook.secret = secret || null;
+  }
+  if (enabled !== undefined) webhook.enabled = Boolean(enabled);
+
+  return { webhook };
+}
+
+// POST one event to a webhook, retrying network errors, 5xx and 429 with
+// exponential backoff. Resolves with the delivery record and never throws, so
+// callers can fire and forget.
+async function deliverWebhook(
+  webhook,
+  event,
+  sessionId,
+  payload,
+  attempts = WEBHOOK_ATTEMPTS
+) {
+  const deliveryId = uuidv4();
+  const body = JSON.stringify({
+    event,
+    deliveryId,
+    sessionId,
+    timestamp: new Date().toISOString(),
+    ...payload,
+  });
+
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "ScreenCrawl-Webhook",
+    "X-ScreenCrawl-Event": event,
+    "X-ScreenCrawl-Delivery": deliveryId,
+  };
+  if (webhook.secret) {
+    const signature = crypto
+      .createHmac("sha256", webhook.secret)
+      .update(body)
+      .digest("hex");
+    headers["X-ScreenCrawl-Signature"] = `sha256=${signature}`;
+  }
+
+  let error = null;
+  let attempt = 0;
+  while (attempt < attempts) {
+    attempt++;
+    try {
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers,
+        body,
+        signal: AbortSignal.timeout(10000),
+      });
+      if (response.ok) {
+        error = null;
+        break;
+      }
+      error = `HTTP ${response.status}`;
+      // Other 4xx responses would be the same on every retry
+      if (response.status < 500 && response.status !== 429) break;
+    } catch (err) {
+      error = err.message;
+    }
+
+    if (attempt < attempts) {
+      const delay = WEBHOOK_RETRY_DELAY * 2 ** (attempt - 1);
+      await new Promise((r) => setTimeout(r, delay));
+    }
+  }
+
+  const delivery = {
+    deliveryId,
+    event,
+    sessionId,
+    attempts: attempt,
+    success: !error,
+    error,
+    timestamp: new Date().toISOString(),
+  };
+  if (error) {
+    console.error(`Webhook ${webhook.url} failed for ${event}: ${error}`);
+  }
+
+  // Record the outcome, unless the webhook was deleted meanwhile
+  const webhooks = loadWebhooks();
+  const saved = webhooks.find((w) => w.id === webhook.id);
+  if (saved) {
+    saved.lastDelivery = delivery;
+    saveWebhooks(webhooks);
+  }
+  return delivery;
+}
+
+// Notify every enabled webhook subscribed to an event
+function sendWebhooks(event, sessionId, payload) {
+  // Called from crawls and request handlers, which a broken webhooks.json
+  // or a failed delivery must never take down
+  let webhooks;
+  try {
+    webhooks = loadWebhooks();
+  } catch (error) {
+    console.error(`Could not load webhooks for ${event}: ${error.message}`);
+    return;
+  }
+
+  webhooks
+    .filter((webhook) => webhook.enabled && webhook.events.includes(event))
+    .forEach((webhook) =>
+      deliverWebhook(webhook, event, sessionId, payload).catch((error) => {
+        console.error(
+          `Webhook ${webhook.url} failed for ${event}: ${error.message}`
+        );
+      })
+    );
+}
+
+// API endpoint to list webhooks
+app.get("/api/webhooks", (req, res) => {
+  res.json(loadWebhooks().map(describeWebhook));
+});
+
+// API endpoint to add a webhook
+app.post("/api/webhooks", (req, res) => {
+  const { webhook, error } = readWebhookRequest(req.body);
+  if (error) return res.status(400).json({ error });
+
+  webhook.id = uuidv4();
+  webhook.createdAt = new Date().toISOString();
+  webhook.updatedAt = webhook.createdAt;
+
+  saveWebhooks([...loadWebhooks(), webhook]);
+  res.status(201).json(describeWebhook(webhook));
+});
+
+// API endpoint to edit, enable or disable a webhook
+app.put("/api/webhooks/:webhookId", (req, res) => {
+  const webhooks = loadWebhooks();
+  const index = webhooks.findIndex((w) => w.id === req.params.webhookId);
+  if (index === -1) {
+    return res.status(404).json({ error: "Webhook not found" });
+  }
+
+  const { webhook, error } = readWebhookRequest(req.body, webhooks[index]);
+  if (error) return res.status(400).json({ error });
+
+  webhook.updatedAt = new Date().toISOString();
+  webhooks[index] = webhook;
+  saveWebhooks(webhooks);
+  res.json(describeWebhook(webhook));
+});
+
+// API endpoint to delete a webhook
+app.delete("/api/webhooks/:webhookId", (req, res) => {
+  const webhooks = loadWebhooks();
+  const remaining = webhooks.filter((w) => w.id !== req.params.webhookId);
+  if (remaining.length === webhooks.length) {
+    return res.status(404).json({ error: "Webhook not found" });
+  }
+
+  saveWebhooks(remaining);
+  res.json({ success: true });
+});
+
+// API endpoint to send a test event. Tried once, so the result is immediate.
+app.post("/api/webhooks/:webhookId/test", async (req, res) => {
+  try {
+    const webhook = loadWebhooks().find((w) => w.id === req.params.webhookId);
+    if (!webhook) return res.status(404).json({ error: "Webhook not found" });
+
+    const delivery = await deliverWebhook(webhook, "ping", null, {}, 1);
+    res.status(delivery.success ? 200 : 502).json(delivery);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Only start the web server when run directly, the CLI reuses the crawler
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  server.listen(PORT, () => {
+    console.log(
+      `🚀 Website Screenshot Crawler running at http://localhost:${PORT}`
+    );
+  });
+
+  // Schedules only run inside the long-lived server
+  startSavedSchedules();
+}
+
+module.exports = {
+  activeSessions,
+  compareSessions,
+  comparisonsDir,
+  compileUrlPattern,
+  createSession,
+  countImpacts,
+  createSlugNamer,
+  deliverWebhook,
+  crawlWebsite,
+  fetchSitemapUrls,
+  getScreenshotFilename,
+  getTimedPositions,
+  getVideoEncoder,
+  isAllowedByRobots,
+  parseCookies,
+  parseRobotsTxt,
+  planScrollPass,
+  planScrollPositions,
+  readScheduleRequest,
+  readWebhookRequest,
+  recordSinglePageVideo,
+  redactOptions,
+  runAccessibilityAudit,
+  validateCrawlOptions,
+  validatePageVideoOptions,
+  screenshotsDir,
+  server,
+  startSavedSchedules,
+  stopScheduleTask,
+  summarizeAccessibility,
+  videosDir,
+};
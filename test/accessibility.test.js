@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  countImpacts,
+  runAccessibilityAudit,
+  summarizeAccessibility,
+} = require("../server");
+
+function violation(rule, impact, nodes) {
+  return {
+    rule,
+    impact,
+    help: `Help for ${rule}`,
+    helpUrl: `https://dequeuniversity.com/rules/axe/${rule}`,
+    nodes,
+    selectors: Array.from({ length: Math.min(nodes, 25) }, (_, i) => `#n${i}`),
+  };
+}
+
+// A page where axe reports these violations, in axe's own order
+function fakePage(violations) {
+  return {
+    evaluate: async (script) =>
+      typeof script === "string" ? undefined : violations,
+  };
+}
+
+async function auditedPage(url, violations) {
+  return {
+    url,
+    accessibility: await runAccessibilityAudit(fakePage(violations)),
+  };
+}
+
+test("countImpacts counts violations per impact level", () => {
+  assert.deepStrictEqual(countImpacts([]), {
+    critical: 0,
+    serious: 0,
+    moderate: 0,
+    minor: 0,
+  });
+  assert.deepStrictEqual(
+    countImpacts([
+      violation("image-alt", "critical", 3),
+      violation("label", "critical", 1),
+      violation("region", "moderate", 40),
+      violation("experimental", null, 1),
+    ]),
+    { critical: 2, serious: 0, moderate: 1, minor: 0 }
+  );
+});
+
+test("a page audit counts rules, not elements, most severe first", async () => {
+  const { url, accessibility } = await auditedPage("https://example.com/", [
+    violation("region", "moderate", 40),
+    violation("color-contrast", "serious", 12),
+    violation("image-alt", "critical", 3),
+  ]);
+
+  assert.strictEqual(url, "https://example.com/");
+  assert.strictEqual(accessibility.total, 3);
+  assert.deepStrictEqual(accessibility.byImpact, {
+    critical: 1,
+    serious: 1,
+    moderate: 1,
+    minor: 0,
+  });
+  assert.deepStrictEqual(
+    accessibility.violations.map((v) => v.rule),
+    ["image-alt", "color-contrast", "region"]
+  );
+});
+
+test("the crawl rollup counts each violated rule once", async () => {
+  const results = [
+    await auditedPage("https://example.com/", [
+      violation("color-contrast", "serious", 12),
+      violation("image-alt", "critical", 3),
+    ]),
+    await auditedPage("https://example.com/about", [
+      violation("color-contrast", "serious", 4),
+      violation("link-name", "serious", 1),
+      violation("region", "moderate", 2),
+    ]),
+    await auditedPage("https://example.com/contact", []),
+    {
+      url: "https://example.com/broken",
+      accessibility: { error: "Execution context was destroyed" },
+    },
+    { url: "https://example.com/missing", error: "HTTP 404" },
+  ];
+
+  const audit = summarizeAccessibility(results);
+
+  assert.strictEqual(audit.pagesAudited, 3);
+  assert.strictEqual(audit.pagesWithViolations, 2);
+  assert.strictEqual(audit.totalViolations, 5);
+  assert.strictEqual(audit.violatedRules, 4);
+  assert.deepStrictEqual(audit.byImpact, {
+    critical: 1,
+    serious: 2,
+    moderate: 1,
+    minor: 0,
+  });
+  assert.deepStrictEqual(
+    audit.rules.map(({ rule, pages, nodes }) => ({ rule, pages, nodes })),
+    [
+      { rule: "image-alt", pages: 1, nodes: 3 },
+      { rule: "color-contrast", pages: 2, nodes: 16 },
+      { rule: "link-name", pages: 1, nodes: 1 },
+      { rule: "region", pages: 1, nodes: 2 },
+    ]
+  );
+});
+
+test("a crawl without audited pages has an empty rollup", () => {
+  assert.deepStrictEqual(
+    summarizeAccessibility([{ url: "https://example.com/" }]),
+    {
+      pagesAudited: 0,
+      pagesWithViolations: 0,
+      totalViolations: 0,
+      violatedRules: 0,
+      byImpact: { critical: 0, serious: 0, moderate: 0, minor: 0 },
+      rules: [],
+    }
+  );
+});
@@ -0,0 +1,183 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const {
+  createSession,
+  crawlWebsite,
+  parseCookies,
+  redactOptions,
+  screenshotsDir,
+} = require("../server");
+const { useFakeBrowser } = require("./helpers/fake-browser");
+
+const sessionIds = [];
+
+test.after(() => {
+  sessionIds.forEach((id) =>
+    fs.rmSync(path.join(screenshotsDir, id), { recursive: true, force: true })
+  );
+});
+
+test("parses a Netscape cookies.txt export", () => {
+  const cookies = parseCookies(
+    [
+      "# Netscape HTTP Cookie File",
+      "",
+      ".example.com\tTRUE\t/\tTRUE\t1893456000\tsession\tabc\tdef",
+      "#HttpOnly_example.com\tFALSE\t/app\tFALSE\t0\ttoken\txyz",
+      "too\tfew\tfields",
+    ].join("\n"),
+    "https://example.com/"
+  );
+
+  assert.deepStrictEqual(cookies, [
+    {
+      name: "session",
+      value: "abc\tdef",
+      domain: ".example.com",
+      path: "/",
+      expires: 1893456000,
+      httpOnly: false,
+      secure: true,
+      sameSite: undefined,
+    },
+    {
+      name: "token",
+      value: "xyz",
+      domain: "example.com",
+      path: "/app",
+      httpOnly: true,
+      secure: false,
+      sameSite: undefined,
+    },
+  ]);
+});
+
+test("parses JSON cookie exports", () => {
+  const exported = [
+    {
+      name: "session",
+      value: "abc",
+      domain: "example.com",
+      expirationDate: 1893456000.5,
+      httpOnly: true,
+      sameSite: "no_restriction",
+    },
+    { name: "theme", value: 1 },
+    { value: "nameless" },
+  ];
+
+  const cookies = parseCookies(
+    JSON.stringify(exported),
+    "https://example.com/"
+  );
+  assert.deepStrictEqual(cookies, [
+    {
+      name: "session",
+      value: "abc",
+      domain: "example.com",
+      path: "/",
+      expires: 1893456000,
+      httpOnly: true,
+      secure: false,
+      sameSite: "None",
+    },
+    {
+      name: "theme",
+      value: "1",
+      url: "https://example.com/",
+      httpOnly: false,
+      secure: false,
+      sameSite: undefined,
+    },
+  ]);
+
+  // Some tools wrap the list as { cookies: [...] }
+  assert.deepStrictEqual(
+    parseCookies(JSON.stringify({ cookies: exported }), "https://example.com/"),
+    cookies
+  );
+});
+
+test("redactOptions keeps only whether credentials were used", () => {
+  assert.deepStrictEqual(redactOptions({ maxPages: 5 }), { maxPages: 5 });
+  assert.deepStrictEqual(
+    redactOptions({
+      maxPages: 5,
+      httpAuth: { username: "user", password: "hunter2" },
+      cookies: "session=abc",
+      login: {
+        url: "https://example.com/login",
+        username: "user",
+        password: "hunter2",
+      },
+    }),
+    {
+      maxPages: 5,
+      auth: {
+        httpAuth: true,
+        cookies: true,
+        login: "https://example.com/login",
+      },
+    }
+  );
+});
+
+test("credentials never reach summary.json", async () => {
+  const browser = useFakeBrowser({
+    "https://example.com/home": ["https://example.com/about"],
+    "https://example.com/about": [],
+    "https://example.com/login": [],
+  });
+  const options = {
+    waitAfterLoad: 0,
+    scrollDelay: 0,
+    thumbnails: false,
+    httpAuth: { username: "crawler", password: "http-secret" },
+    cookies: JSON.stringify([{ name: "sid", value: "cookie-secret" }]),
+    login: {
+      url: "https://example.com/login",
+      usernameSelector: "#user",
+      username: "login-user",
+      passwordSelector: "#pass",
+      password: "login-secret",
+      submitSelector: "button",
+    },
+  };
+  const session = createSession("https://example.com/home", options);
+  sessionIds.push(session.id);
+
+  let complete = null;
+  try {
+    await crawlWebsite(session.id, "https://example.com/home", options, {
+      emit(event, data) {
+        if (event === "complete") complete = data;
+      },
+    });
+  } finally {
+    browser.restore();
+  }
+
+  assert.strictEqual(complete.status, "completed");
+  assert.strictEqual(browser.stats.auth[0].password, "http-secret");
+  assert.strictEqual(browser.stats.cookies[0].value, "cookie-secret");
+
+  const summary = fs.readFileSync(
+    path.join(screenshotsDir, session.id, "summary.json"),
+    "utf8"
+  );
+  for (const secret of [
+    "http-secret",
+    "cookie-secret",
+    "login-user",
+    "login-secret",
+  ]) {
+    assert.ok(!summary.includes(secret), `summary.json contains ${secret}`);
+  }
+  assert.deepStrictEqual(JSON.parse(summary).options.auth, {
+    httpAuth: true,
+    cookies: true,
+    login: "https://example.com/login",
+  });
+});
@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { crawlSucceeded, main } = require("../cli");
+const { screenshotsDir } = require("../server");
+const { useFakeBrowser } = require("./helpers/fake-browser");
+
+const sessionIds = [];
+
+// Run the CLI against a fake site, keeping its output off the test log
+async function runCli(site, args) {
+  const browser = useFakeBrowser(site);
+  const log = console.log;
+  console.log = (line) => {
+    const match = String(line).match(/^Session: (\S+)/);
+    if (match) sessionIds.push(match[1]);
+  };
+  try {
+    return await main(["crawl", Object.keys(site)[0], ...args]);
+  } finally {
+    console.log = log;
+    browser.restore();
+  }
+}
+
+test.after(() => {
+  sessionIds.forEach((id) =>
+    fs.rmSync(path.join(screenshotsDir, id), { recursive: true, force: true })
+  );
+});
+
+test("only a completed crawl with every page captured succeeds", () => {
+  const ok = { url: "https://example.com/" };
+  const failed = { url: "https://example.com/a", error: "Timeout" };
+
+  assert.strictEqual(
+    crawlSucceeded({ status: "completed", results: [ok] }),
+    true
+  );
+  assert.strictEqual(
+    crawlSucceeded({ status: "completed", results: [ok, failed] }),
+    false
+  );
+  assert.strictEqual(
+    crawlSucceeded({ status: "completed", results: [] }),
+    false
+  );
+  assert.strictEqual(
+    crawlSucceeded({ status: "cancelled", results: [ok] }),
+    false
+  );
+  assert.strictEqual(
+    crawlSucceeded({ status: "failed", results: [ok] }),
+    false
+  );
+  assert.strictEqual(crawlSucceeded(undefined), false);
+});
+
+test("crawl exits 0 when every page is captured", async () => {
+  const code = await runCli(
+    {
+      "https://example.com/home": ["https://example.com/about"],
+      "https://example.com/about": [],
+    },
+    ["--no-thumbnails", "--wait-after-load", "0", "--scroll-delay", "0"]
+  );
+  assert.strictEqual(code, 0);
+});
+
+test("crawl exits 1 when a page fails", async () => {
+  const code = await runCli(
+    { "https://example.com/home": ["https://example.com/missing"] },
+    ["--no-thumbnails", "--wait-after-load", "0", "--scroll-delay", "0"]
+  );
+  assert.strictEqual(code, 1);
+});
+
+test("crawl exits 1 when the crawl itself fails", async () => {
+  const code = await runCli({ "https://example.com/home": [] }, [
+    "--no-thumbnails",
+    "--screenshot-format",
+    "gif",
+  ]);
+  assert.strictEqual(code, 1);
+});
@@ -0,0 +1,124 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { PNG } = require("pngjs");
+const {
+  compareSessions,
+  comparisonsDir,
+  screenshotsDir,
+} = require("../server");
+
+// A solid dark PNG, with one red pixel in the corner when marked. Dark so
+// the transparent padding of a shorter image shows up as changed.
+function writePng(file, width, height, marked = false) {
+  const png = new PNG({ width, height });
+  for (let i = 0; i < png.data.length; i += 4) {
+    png.data.set([30, 30, 30, 255], i);
+  }
+  if (marked) png.data.set([255, 0, 0, 255], 0);
+  fs.writeFileSync(file, PNG.sync.write(png));
+}
+
+// Write a session folder with summary.json and a screenshot per page
+function writeSession(id, pages) {
+  const dir = path.join(screenshotsDir, id);
+  fs.mkdirSync(dir, { recursive: true });
+  const results = pages.map((page, index) => {
+    if (page.error) return { id: index + 1, url: page.url, error: page.error };
+    const filename = `page_${index + 1}.png`;
+    writePng(path.join(dir, filename), 20, page.height || 10, page.marked);
+    return {
+      id: index + 1,
+      url: page.url,
+      title: page.url,
+      screenshot: `/screenshots/${id}/${filename}`,
+    };
+  });
+  fs.writeFileSync(
+    path.join(dir, "summary.json"),
+    JSON.stringify({ startUrl: pages[0].url, results })
+  );
+}
+
+const base = `test-compare-base-${process.pid}`;
+const target = `test-compare-target-${process.pid}`;
+
+test.before(() => {
+  writeSession(base, [
+    { url: "https://example.com/home" },
+    { url: "https://example.com/about" },
+    { url: "https://example.com/pricing" },
+    { url: "https://example.com/old" },
+    { url: "https://example.com/flaky" },
+  ]);
+  writeSession(target, [
+    { url: "https://example.com/home" },
+    { url: "https://example.com/about", marked: true },
+    { url: "https://example.com/pricing", height: 15 },
+    { url: "https://example.com/new" },
+    { url: "https://example.com/flaky", error: "Navigation timeout" },
+  ]);
+});
+
+test.after(() => {
+  for (const id of [base, target]) {
+    fs.rmSync(path.join(screenshotsDir, id), { recursive: true, force: true });
+  }
+  fs.rmSync(path.join(comparisonsDir, `${base}__vs__${target}`), {
+    recursive: true,
+    force: true,
+  });
+});
+
+test("pages are matched by URL and diffed pixel by pixel", async () => {
+  const comparison = await compareSessions(base, target);
+  const byUrl = Object.fromEntries(
+    comparison.pages.map((page) => [page.url, page])
+  );
+
+  assert.strictEqual(byUrl["https://example.com/home"].status, "unchanged");
+  assert.strictEqual(byUrl["https://example.com/home"].diffPixels, 0);
+  assert.strictEqual(byUrl["https://example.com/about"].status, "changed");
+  assert.strictEqual(byUrl["https://example.com/about"].diffPixels, 1);
+  assert.strictEqual(
+    byUrl["https://example.com/about"].mismatchPercentage,
+    0.5
+  );
+
+  // Different heights are compared on the larger canvas
+  const pricing = byUrl["https://example.com/pricing"];
+  assert.strictEqual(pricing.status, "changed");
+  assert.deepStrictEqual(pricing.targetSize, { width: 20, height: 15 });
+  assert.strictEqual(pricing.diffPixels, 100);
+});
+
+test("a failed capture is an error, not an added or removed page", async () => {
+  const comparison = await compareSessions(base, target);
+  const flaky = comparison.pages.find(
+    (page) => page.url === "https://example.com/flaky"
+  );
+
+  assert.strictEqual(flaky.status, "error");
+  assert.match(flaky.error, /compared session: Navigation timeout/);
+  assert.deepStrictEqual(
+    comparison.removed.map((page) => page.url),
+    ["https://example.com/old"]
+  );
+  assert.deepStrictEqual(
+    comparison.added.map((page) => page.url),
+    ["https://example.com/new"]
+  );
+  assert.deepStrictEqual(comparison.totals, {
+    compared: 4,
+    changed: 2,
+    unchanged: 1,
+    errors: 1,
+    added: 1,
+    removed: 1,
+  });
+});
+
+test("an unknown session is rejected", async () => {
+  await assert.rejects(compareSessions(base, "missing"), /Session not found/);
+});
@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { crawlFakeSite, removeCrawls } = require("./helpers/fake-browser");
+
+// A home page linking to count pages at /page-1, /page-2, ...
+function flatSite(count) {
+  const pages = Array.from(
+    { length: count },
+    (_, i) => `https://example.com/page-${i + 1}`
+  );
+  const site = { "https://example.com/home": pages };
+  pages.forEach((url) => (site[url] = []));
+  return site;
+}
+
+test.after(removeCrawls);
+
+test("stops at maxPages with several tabs", async () => {
+  const { complete, stats } = await crawlFakeSite(flatSite(10), {
+    maxPages: 4,
+    concurrency: 3,
+  });
+
+  assert.strictEqual(complete.status, "completed");
+  assert.strictEqual(complete.results.length, 4);
+  assert.ok(stats.maxLoading > 1, "pages should load in parallel");
+  assert.ok(stats.maxLoading <= 3);
+});
+
+test("numbers pages page_1..page_N without gaps or repeats", async () => {
+  const { complete, summary } = await crawlFakeSite(flatSite(6), {
+    concurrency: 3,
+  });
+
+  const ids = complete.results.map((result) => result.id).sort((a, b) => a - b);
+  assert.deepStrictEqual(ids, [1, 2, 3, 4, 5, 6, 7]);
+  complete.results.forEach((result) => {
+    assert.strictEqual(
+      path.basename(result.screenshot),
+      `page_${result.id}.png`
+    );
+  });
+  const urls = summary.results.map((result) => result.url);
+  assert.strictEqual(new Set(urls).size, urls.length);
+});
+
+test("captures one page per pattern under concurrency", async () => {
+  const posts = ["a", "b", "c", "d"].map(
+    (slug) => `https://example.com/blog/post-${slug}`
+  );
+  const site = {
+    "https://example.com/home": [...posts, "https://example.com/about"],
+    "https://example.com/about": [],
+  };
+  posts.forEach((url) => (site[url] = []));
+
+  const { complete, summary } = await crawlFakeSite(site, {
+    smartDedup: true,
+    concurrency: 3,
+  });
+
+  const captured = complete.results.map((result) => result.url);
+  assert.strictEqual(
+    captured.filter((url) => url.includes("/blog/")).length,
+    1
+  );
+  assert.ok(captured.includes("https://example.com/about"));
+  assert.strictEqual(
+    summary.skippedUrls.filter((s) => s.reason === "duplicate_pattern").length,
+    3
+  );
+});
+
+test("a page that fails to load frees its pattern", async () => {
+  const site = {
+    "https://example.com/home": [
+      "https://example.com/blog/post-a",
+      "https://example.com/blog/post-b",
+    ],
+    "https://example.com/blog/post-b": [],
+  };
+
+  const { complete } = await crawlFakeSite(site, {
+    smartDedup: true,
+    concurrency: 2,
+  });
+
+  const captured = complete.results
+    .filter((result) => !result.error)
+    .map((result) => result.url);
+  assert.ok(captured.includes("https://example.com/blog/post-b"));
+});
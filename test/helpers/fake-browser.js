@@ -0,0 +1,138 @@
+// Stand-in for puppeteer's browser, serving a site described as URL -> links.
+// A page can also be { links, revealed }, where revealed links only appear
+// once an injected script has run. URLs missing from the site fail to load.
+const fs = require("fs");
+const path = require("path");
+const puppeteer = require("puppeteer");
+const { createSession, crawlWebsite, screenshotsDir } = require("../../server");
+
+const sessionIds = []; // Crawls run by crawlFakeSite, see removeCrawls
+
+function createPage(site, options, stats) {
+  const { loadDelay, scriptError } = options;
+  let url = null;
+  let scriptRan = false;
+
+  return {
+    async goto(target) {
+      stats.loading++;
+      stats.maxLoading = Math.max(stats.maxLoading, stats.loading);
+      try {
+        await new Promise((r) => setTimeout(r, loadDelay));
+        stats.visits.push(target);
+        if (!site[target]) throw new Error(`net::ERR_NAME_NOT_RESOLVED`);
+        url = target;
+        scriptRan = false;
+      } finally {
+        stats.loading--;
+      }
+    },
+    async evaluate(fn, arg) {
+      // Injected scripts arrive as source text
+      if (typeof fn === "string") {
+        if (scriptError) throw new Error(scriptError);
+        scriptRan = true;
+        return undefined;
+      }
+      if (fn.toString().includes("a[href]")) {
+        const page = site[url];
+        if (Array.isArray(page)) return page;
+        return [...page.links, ...(scriptRan ? page.revealed : [])];
+      }
+      return undefined;
+    },
+    async screenshot({ path } = {}) {
+      if (path) fs.writeFileSync(path, "");
+      return Buffer.alloc(0);
+    },
+    // Enough of the auth and login API for setupAuthentication
+    authenticate: async (credentials) => stats.auth.push(credentials),
+    setCookie: async (...cookies) => stats.cookies.push(...cookies),
+    waitForSelector: async () => {},
+    $eval: async () => {},
+    type: async () => {},
+    click: async () => {},
+    waitForNavigation: async () => {},
+    keyboard: { press: async () => {} },
+    title: async () => `Title of ${url}`,
+    url: () => url,
+    viewport: () => ({ width: 800, height: 600, deviceScaleFactor: 1 }),
+    setViewport: async () => {},
+    frames: () => [],
+    on() {},
+    close: async () => {},
+  };
+}
+
+// Make puppeteer.launch return the fake browser until restore() is called
+function useFakeBrowser(site, options = {}) {
+  const { loadDelay = 20, scriptError = null } = options;
+  const stats = {
+    loading: 0,
+    maxLoading: 0,
+    visits: [],
+    auth: [],
+    cookies: [],
+  };
+  const launch = puppeteer.launch;
+
+  puppeteer.launch = async () => ({
+    newPage: async () => createPage(site, { loadDelay, scriptError }, stats),
+    close: async () => {},
+  });
+
+  return {
+    stats,
+    restore() {
+      puppeteer.launch = launch;
+    },
+  };
+}
+
+// Crawl a fake site from its first URL. Returns the complete event, the
+// status messages, the summary and the fake browser's stats.
+async function crawlFakeSite(site, options = {}, browserOptions = {}) {
+  const browser = useFakeBrowser(site, browserOptions);
+  const startUrl = Object.keys(site)[0];
+  const crawlOptions = {
+    waitAfterLoad: 0,
+    scrollDelay: 0,
+    thumbnails: false,
+    ...options,
+  };
+  const session = createSession(startUrl, crawlOptions);
+  sessionIds.push(session.id);
+
+  let complete = null;
+  const statuses = [];
+  const socket = {
+    emit(event, data) {
+      if (event === "complete") complete = data;
+      if (event === "status") statuses.push(data);
+    },
+  };
+  try {
+    await crawlWebsite(session.id, startUrl, crawlOptions, socket);
+  } finally {
+    browser.restore();
+  }
+
+  const summary = JSON.parse(
+    fs.readFileSync(
+      path.join(screenshotsDir, session.id, "summary.json"),
+      "utf8"
+    )
+  );
+  return { complete, statuses, summary, stats: browser.stats };
+}
+
+// Delete the session folders of every crawlFakeSite run
+function removeCrawls() {
+  sessionIds
+    .splice(0)
+    .forEach((id) =>
+      fs.rmSync(path.join(screenshotsDir, id), { recursive: true, force: true })
+    );
+}
+
+module.exports = { crawlFakeSite, removeCrawls, useFakeBrowser };
@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { crawlFakeSite, removeCrawls } = require("./helpers/fake-browser");
+
+// The home page links to /about, and to /faq once a script has run
+const site = {
+  "https://example.com/home": {
+    links: ["https://example.com/about"],
+    revealed: ["https://example.com/faq"],
+  },
+  "https://example.com/about": [],
+  "https://example.com/faq": [],
+};
+
+const capturedUrls = (complete) =>
+  complete.results.filter((r) => !r.error).map((r) => r.url);
+
+test.after(removeCrawls);
+
+test("crawls links an injected script reveals", async () => {
+  const plain = await crawlFakeSite(site);
+  assert.deepStrictEqual(capturedUrls(plain.complete), [
+    "https://example.com/home",
+    "https://example.com/about",
+  ]);
+
+  const scripted = await crawlFakeSite(site, {
+    injectScript: "document.querySelector('details').open = true;",
+  });
+  assert.deepStrictEqual(capturedUrls(scripted.complete), [
+    "https://example.com/home",
+    "https://example.com/about",
+    "https://example.com/faq",
+  ]);
+});
+
+test("a throwing script is saved as scriptError, not a failed crawl", async () => {
+  const { complete, statuses, summary } = await crawlFakeSite(
+    site,
+    { injectScript: "throw new Error('boom');" },
+    { scriptError: "boom" }
+  );
+
+  assert.strictEqual(complete.status, "completed");
+  assert.deepStrictEqual(capturedUrls(complete), [
+    "https://example.com/home",
+    "https://example.com/about",
+  ]);
+  for (const result of summary.results) {
+    assert.strictEqual(result.scriptError, "boom");
+    assert.ok(result.screenshot, `${result.url} has no screenshot`);
+  }
+  assert.ok(
+    statuses.some(
+      (status) =>
+        status.type === "warning" &&
+        status.message === "Script error on https://example.com/home: boom"
+    )
+  );
+});
@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { screenshotsDir, server } = require("../server");
+
+const sessionId = "example-com_resume-test";
+const sessionDir = path.join(screenshotsDir, sessionId);
+let baseUrl;
+
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(async () => {
+  fs.rmSync(sessionDir, { recursive: true, force: true });
+  // fetch keeps its connections alive, which would hold close() open
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+function resume(id) {
+  return fetch(`${baseUrl}/api/crawls/${id}/resume`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: "{}",
+  });
+}
+
+test("resuming a session without a checkpoint is a 404", async () => {
+  const response = await resume("example-com_missing");
+  assert.strictEqual(response.status, 404);
+});
+
+test("resuming from an unreadable checkpoint is a 500 that says so", async () => {
+  fs.mkdirSync(sessionDir, { recursive: true });
+  fs.writeFileSync(path.join(sessionDir, "checkpoint.json"), '{"queue": [');
+
+  const response = await resume(sessionId);
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 500);
+  assert.match(body.error, /^Checkpoint is unreadable: /);
+});
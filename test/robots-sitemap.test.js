@@ -0,0 +1,152 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const zlib = require("zlib");
+const {
+  fetchSitemapUrls,
+  isAllowedByRobots,
+  parseRobotsTxt,
+} = require("../server");
+
+const ROBOTS = `
+# Everyone else
+User-agent: *
+Disallow: /private
+Crawl-delay: 2
+
+User-agent: ScreenCrawl
+User-agent: OtherBot
+Disallow: /admin
+Allow: /admin/public
+Disallow: /*.pdf$
+Crawl-delay: 0.5
+
+User-agent: ScreenCrawlBeta
+Disallow: /
+
+Sitemap: https://example.com/sitemap.xml
+`;
+
+test("picks the longest user-agent match, falling back to *", () => {
+  const ours = parseRobotsTxt(ROBOTS, "ScreenCrawl");
+  assert.strictEqual(ours.crawlDelay, 0.5);
+  assert.deepStrictEqual(ours.sitemaps, ["https://example.com/sitemap.xml"]);
+  assert.strictEqual(ours.rules.length, 3);
+
+  const other = parseRobotsTxt(ROBOTS, "otherbot/2.1");
+  assert.strictEqual(other.crawlDelay, 0.5);
+
+  const beta = parseRobotsTxt(ROBOTS, "ScreenCrawlBeta");
+  assert.deepStrictEqual(beta.rules, [{ allow: false, path: "/" }]);
+  assert.strictEqual(beta.crawlDelay, null);
+
+  const anyone = parseRobotsTxt(ROBOTS, "SomeBot");
+  assert.deepStrictEqual(anyone.rules, [{ allow: false, path: "/private" }]);
+  assert.strictEqual(anyone.crawlDelay, 2);
+});
+
+test("allows everything without a matching group", () => {
+  const robots = parseRobotsTxt("User-agent: Googlebot\nDisallow: /", "Bot");
+  assert.deepStrictEqual(robots.rules, []);
+  assert.ok(isAllowedByRobots("https://example.com/anything", robots));
+});
+
+test("the longest matching rule wins, Allow wins ties", () => {
+  const robots = parseRobotsTxt(ROBOTS, "ScreenCrawl");
+  const allowed = (path) =>
+    isAllowedByRobots(`https://example.com${path}`, robots);
+
+  assert.strictEqual(allowed("/"), true);
+  assert.strictEqual(allowed("/admin"), false);
+  assert.strictEqual(allowed("/admin/users"), false);
+  assert.strictEqual(allowed("/admin/public/page"), true);
+  assert.strictEqual(allowed("/files/report.pdf"), false);
+  assert.strictEqual(allowed("/files/report.pdf?download=1"), true);
+
+  const tie = parseRobotsTxt("User-agent: *\nDisallow: /shop\nAllow: /shop");
+  assert.ok(isAllowedByRobots("https://example.com/shop/cart", tie));
+});
+
+test("an empty Disallow allows everything", () => {
+  const robots = parseRobotsTxt("User-agent: *\nDisallow:\nCrawl-delay: 3");
+  assert.deepStrictEqual(robots.rules, []);
+  assert.strictEqual(robots.crawlDelay, 3);
+  assert.ok(isAllowedByRobots("https://example.com/private", robots));
+});
+
+function urlset(...urls) {
+  return `<?xml version="1.0"?><urlset>${urls
+    .map((url) => `<url><loc>${url}</loc></url>`)
+    .join("")}</urlset>`;
+}
+
+// Serve sitemap documents from a map instead of the network
+function stubFetch(t, documents) {
+  const requests = [];
+  t.mock.method(global, "fetch", async (url, init) => {
+    requests.push({ url, userAgent: init.headers["User-Agent"] });
+    if (!(url in documents)) return new Response("", { status: 404 });
+    return new Response(documents[url]);
+  });
+  return requests;
+}
+
+test("follows sitemap indexes into gzipped sitemaps", async (t) => {
+  const requests = stubFetch(t, {
+    "https://example.com/sitemap.xml": `<sitemapindex>
+      <sitemap><loc>https://example.com/pages.xml</loc></sitemap>
+      <sitemap><loc>https://example.com/posts.xml.gz</loc></sitemap>
+      <sitemap><loc>https://example.com/missing.xml</loc></sitemap>
+    </sitemapindex>`,
+    "https://example.com/pages.xml": urlset(
+      "https://example.com/",
+      "https://example.com/search?q=a&amp;page=2"
+    ),
+    "https://example.com/posts.xml.gz": zlib.gzipSync(
+      urlset("<![CDATA[https://example.com/blog/first]]>")
+    ),
+  });
+
+  const { urls, errors } = await fetchSitemapUrls(
+    ["https://example.com/sitemap.xml"],
+    { userAgent: "ScreenCrawl" }
+  );
+
+  assert.deepStrictEqual(urls, [
+    "https://example.com/",
+    "https://example.com/search?q=a&page=2",
+    "https://example.com/blog/first",
+  ]);
+  assert.deepStrictEqual(errors, [
+    {
+      url: "https://example.com/missing.xml",
+      error: "HTTP 404 for https://example.com/missing.xml",
+    },
+  ]);
+  assert.ok(requests.every((request) => request.userAgent === "ScreenCrawl"));
+});
+
+test("stops at maxUrls and maxSitemaps", async (t) => {
+  const requests = stubFetch(t, {
+    "https://example.com/a.xml": urlset(
+      "https://example.com/1",
+      "https://example.com/2",
+      "https://example.com/3"
+    ),
+    "https://example.com/b.xml": urlset("https://example.com/4"),
+  });
+
+  const limited = await fetchSitemapUrls(["https://example.com/a.xml"], {
+    maxUrls: 2,
+  });
+  assert.deepStrictEqual(limited.urls, [
+    "https://example.com/1",
+    "https://example.com/2",
+  ]);
+
+  const oneSitemap = await fetchSitemapUrls(
+    ["https://example.com/a.xml", "https://example.com/b.xml"],
+    { maxSitemaps: 1 }
+  );
+  assert.strictEqual(oneSitemap.urls.length, 3);
+  assert.strictEqual(requests.length, 2);
+});
@@ -0,0 +1,147 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  readScheduleRequest,
+  startSavedSchedules,
+  stopScheduleTask,
+} = require("../server");
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "schedules-"));
+
+// Start the schedules saved in a temp file, returning what was logged too
+function startFrom(contents) {
+  const file = path.join(tmpDir, "schedules.json");
+  fs.writeFileSync(file, contents);
+
+  const errors = [];
+  const error = console.error;
+  console.error = (message) => errors.push(message);
+  try {
+    return { started: startSavedSchedules(file), errors };
+  } finally {
+    console.error = error;
+  }
+}
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test("a new schedule needs a url and a cron expression", () => {
+  assert.deepStrictEqual(readScheduleRequest({ cron: "0 3 * * *" }), {
+    error: "A valid url is required",
+  });
+  assert.deepStrictEqual(
+    readScheduleRequest({ url: "https://example.com", cron: "every day" }),
+    { error: "A valid cron expression is required" }
+  );
+  assert.deepStrictEqual(
+    readScheduleRequest({
+      url: "https://example.com",
+      cron: "0 3 * * *",
+      timezone: "Mars/Olympus",
+    }),
+    { error: 'Unknown timezone "Mars/Olympus"' }
+  );
+  assert.deepStrictEqual(
+    readScheduleRequest({
+      url: "https://example.com",
+      cron: "0 3 * * *",
+      options: [],
+    }),
+    { error: "options must be an object" }
+  );
+});
+
+test("a new schedule is enabled and named after its host", () => {
+  const { schedule } = readScheduleRequest({
+    url: "https://example.com/shop",
+    cron: " 0 3 * * * ",
+    options: { maxPages: 5 },
+  });
+
+  assert.deepStrictEqual(schedule, {
+    enabled: true,
+    url: "https://example.com/shop",
+    cron: "0 3 * * *",
+    name: "example.com",
+    options: { maxPages: 5 },
+  });
+});
+
+test("an update keeps credentials left out and drops ones set to null", () => {
+  const existing = {
+    name: "Nightly",
+    url: "https://example.com",
+    cron: "0 3 * * *",
+    enabled: true,
+    options: {
+      maxPages: 5,
+      httpAuth: { username: "user", password: "secret" },
+      cookies: "session=abc",
+    },
+  };
+
+  const { schedule } = readScheduleRequest(
+    { enabled: false, options: { maxPages: 10, cookies: null } },
+    existing
+  );
+
+  assert.strictEqual(schedule.name, "Nightly");
+  assert.strictEqual(schedule.enabled, false);
+  assert.deepStrictEqual(schedule.options, {
+    maxPages: 10,
+    httpAuth: { username: "user", password: "secret" },
+  });
+  assert.strictEqual(existing.options.maxPages, 5);
+});
+
+test("a corrupt schedules file is logged and skipped", () => {
+  const { started, errors } = startFrom("[{ not json");
+
+  assert.deepStrictEqual(started, []);
+  assert.strictEqual(errors.length, 1);
+  assert.match(errors[0], /^⏰ Schedules not loaded: /);
+  assert.strictEqual(
+    fs.readFileSync(path.join(tmpDir, "schedules.json"), "utf8"),
+    "[{ not json"
+  );
+});
+
+test("a schedules file that isn't a list is logged and skipped", () => {
+  const { started, errors } = startFrom("{}");
+
+  assert.deepStrictEqual(started, []);
+  assert.match(errors[0], /is not a list of schedules/);
+});
+
+test("a schedule that won't start doesn't stop the others", () => {
+  const schedules = [
+    {
+      id: "broken",
+      name: "Broken",
+      url: "https://example.com",
+      cron: "0 3 * * *",
+      timezone: "Mars/Olympus",
+      enabled: true,
+    },
+    {
+      id: "nightly",
+      name: "Nightly",
+      url: "https://example.com",
+      cron: "0 3 * * *",
+      enabled: true,
+    },
+  ];
+
+  const { started, errors } = startFrom(JSON.stringify(schedules));
+  started.forEach((schedule) => stopScheduleTask(schedule.id));
+
+  assert.deepStrictEqual(
+    started.map((schedule) => schedule.id),
+    ["nightly"]
+  );
+  assert.strictEqual(errors.length, 1);
+  assert.match(errors[0], /^⏰ Schedule "Broken": /);
+});
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { getScreenshotFilename } = require("../server");
+
+const desktop = { width: 1920, height: 1080, deviceScaleFactor: 1 };
+
+test("a single viewport keeps the plain page_N name", () => {
+  assert.strictEqual(getScreenshotFilename(3, desktop, false), "page_3.png");
+  assert.strictEqual(
+    getScreenshotFilename(3, { ...desktop, deviceScaleFactor: 2 }, false),
+    "page_3.png"
+  );
+  assert.strictEqual(
+    getScreenshotFilename(12, desktop, false, "jpg"),
+    "page_12.jpg"
+  );
+});
+
+test("several viewports add the size, and the scale when it isn't 1", () => {
+  assert.strictEqual(
+    getScreenshotFilename(3, desktop, true),
+    "page_3_1920x1080.png"
+  );
+  assert.strictEqual(
+    getScreenshotFilename(
+      3,
+      { width: 375, height: 812, deviceScaleFactor: 2 },
+      true,
+      "webp"
+    ),
+    "page_3_375x812@2x.webp"
+  );
+  assert.strictEqual(
+    getScreenshotFilename(
+      3,
+      { width: 412, height: 915, deviceScaleFactor: 2.625 },
+      true
+    ),
+    "page_3_412x915@2.625x.png"
+  );
+});
+
+test("viewports that differ only in height or scale get their own file", () => {
+  const viewports = [
+    { width: 1280, height: 720, deviceScaleFactor: 1 },
+    { width: 1280, height: 1024, deviceScaleFactor: 1 },
+    { width: 1280, height: 720, deviceScaleFactor: 2 },
+  ];
+  const names = viewports.map((viewport) =>
+    getScreenshotFilename(1, viewport, true)
+  );
+  assert.deepStrictEqual(names, [
+    "page_1_1280x720.png",
+    "page_1_1280x1024.png",
+    "page_1_1280x720@2x.png",
+  ]);
+});
@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { planScrollPass, planScrollPositions } = require("../server");
+
+const pass = {
+  frameRate: 30,
+  pauseAtTop: 1000,
+  pauseAtBottom: 1000,
+  pauseAtSections: 1000,
+  scrollSpeed: 50,
+  easing: "linear",
+};
+
+test("top and bottom pauses each get their own frame count", () => {
+  const counts = (options) => {
+    const { framesAtTop, framesAtBottom } = planScrollPass(1000, [], {
+      ...pass,
+      ...options,
+    });
+    return [framesAtTop, framesAtBottom];
+  };
+
+  assert.deepStrictEqual(counts({}), [30, 30]);
+  assert.deepStrictEqual(
+    counts({ pauseAtTop: 500, pauseAtBottom: 2500 }),
+    [15, 75]
+  );
+  assert.deepStrictEqual(
+    counts({ pauseAtTop: 0, pauseAtBottom: 3000 }),
+    [0, 90]
+  );
+  assert.deepStrictEqual(
+    counts({ pauseAtTop: 2000, pauseAtBottom: 0 }),
+    [60, 0]
+  );
+  // A partial frame still shows
+  assert.deepStrictEqual(
+    counts({ frameRate: 24, pauseAtTop: 100, pauseAtBottom: 10 }),
+    [3, 1]
+  );
+});
+
+test("a linear scroll moves scrollSpeed px per frame", () => {
+  assert.deepStrictEqual(
+    planScrollPositions(200, [], { scrollSpeed: 50 }),
+    [0, 50, 100, 150, 200]
+  );
+  // The last frame lands exactly on the bottom
+  assert.deepStrictEqual(
+    planScrollPositions(120, [], { scrollSpeed: 50 }),
+    [0, 40, 80, 120]
+  );
+  assert.deepStrictEqual(planScrollPositions(0, [], { scrollSpeed: 50 }), [0]);
+});
+
+test("ease-in-out never scrolls back and starts and ends slowly", () => {
+  const linear = planScrollPositions(3000, [], { scrollSpeed: 50 });
+  const eased = planScrollPositions(3000, [], {
+    scrollSpeed: 50,
+    easing: "ease-in-out",
+  });
+
+  assert.strictEqual(eased.length, linear.length);
+  assert.strictEqual(eased[0], 0);
+  assert.strictEqual(eased[eased.length - 1], 3000);
+  for (let i = 1; i < eased.length; i++) {
+    assert.ok(eased[i] >= eased[i - 1], `frame ${i} scrolls back`);
+  }
+
+  const step = (i) => eased[i] - eased[i - 1];
+  const middle = Math.floor(eased.length / 2);
+  assert.ok(step(1) < step(middle));
+  assert.ok(step(eased.length - 1) < step(middle));
+});
+
+test("holds at each section stop, eased leg by leg", () => {
+  const plan = planScrollPositions(400, [100, 300], {
+    scrollSpeed: 100,
+    framesAtStop: 2,
+  });
+  assert.deepStrictEqual(plan, [0, 100, 100, 100, 200, 300, 300, 300, 400]);
+
+  const eased = planScrollPositions(400, [200], {
+    scrollSpeed: 50,
+    easing: "ease-in-out",
+    framesAtStop: 1,
+  });
+  // Each leg starts slowly again after its stop
+  const afterStop = eased.indexOf(200) + 2;
+  assert.ok(eased[afterStop] - 200 < 50);
+});
+
+test("rejects an unknown easing", () => {
+  assert.throws(
+    () => planScrollPositions(100, [], { scrollSpeed: 50, easing: "bounce" }),
+    /Unknown scroll easing "bounce"/
+  );
+});
@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createSlugNamer } = require("../server");
+
+test("renames page_N files after the page URL", () => {
+  const rename = createSlugNamer([
+    { id: 1, url: "https://example.com/" },
+    { id: 2, url: "https://example.com/blog/My%20Post?page=2" },
+  ]);
+
+  assert.strictEqual(rename("page_1.png"), "home.png");
+  assert.strictEqual(
+    rename("page_2_thumb.jpg"),
+    "blog-my-post-page-2_thumb.jpg"
+  );
+  assert.strictEqual(
+    rename("page_2_1280x800.png"),
+    "blog-my-post-page-2_1280x800.png"
+  );
+  assert.strictEqual(rename("page_3.png"), "page_3.png");
+  assert.strictEqual(rename("summary.json"), "summary.json");
+});
+
+test("appends the page number to a repeated slug", () => {
+  const rename = createSlugNamer([
+    { id: 1, url: "https://example.com/about" },
+    { id: 2, url: "https://example.com/About" },
+  ]);
+
+  assert.strictEqual(rename("page_1.png"), "about.png");
+  assert.strictEqual(rename("page_2.png"), "about-2.png");
+});
+
+test("never reuses a name another URL slugged to", () => {
+  const results = [
+    { id: 1, url: "https://example.com/a-3" },
+    { id: 2, url: "https://example.com/a" },
+    { id: 3, url: "https://example.com/A" },
+    { id: 4, url: "https://example.com/a-3-2" },
+    { id: 5, url: "https://example.com/a-3" },
+  ];
+  const rename = createSlugNamer(results);
+
+  const names = results.map((result) => rename(`page_${result.id}.png`));
+  assert.deepStrictEqual(names, [
+    "a-3.png",
+    "a.png",
+    "a-3-2.png",
+    "a-3-2-4.png",
+    "a-3-5.png",
+  ]);
+  assert.strictEqual(new Set(names).size, names.length);
+});
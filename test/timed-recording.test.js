@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { getTimedPositions } = require("../server");
+
+test("scroll mode has no timed positions", () => {
+  assert.strictEqual(getTimedPositions(), null);
+  assert.strictEqual(getTimedPositions({ recordMode: "scroll" }), null);
+  // A position list alone doesn't switch modes
+  assert.strictEqual(
+    getTimedPositions({ scrollPositions: [{ y: 0, dwell: 1000 }] }),
+    null
+  );
+});
+
+test("timed mode without positions holds the top for recordDuration", () => {
+  assert.deepStrictEqual(getTimedPositions({ recordMode: "timed" }), [
+    { y: 0, dwell: 5000 },
+  ]);
+  assert.deepStrictEqual(
+    getTimedPositions({
+      recordMode: "timed",
+      recordDuration: 2.5,
+      scrollPositions: [],
+    }),
+    [{ y: 0, dwell: 2500 }]
+  );
+});
+
+test("timed mode holds each position for its dwell, in order", () => {
+  assert.deepStrictEqual(
+    getTimedPositions({
+      recordMode: "timed",
+      recordDuration: 60, // Ignored with a position list
+      scrollPositions: [
+        { y: 0, dwell: 3000 },
+        { y: "1200", dwell: "4000" }, // As parsed from CLI flags
+        { y: 400, dwell: 500 },
+      ],
+    }),
+    [
+      { y: 0, dwell: 3000 },
+      { y: 1200, dwell: 4000 },
+      { y: 400, dwell: 500 },
+    ]
+  );
+});
+
+test("rejects an unusable timed schedule", () => {
+  const cases = [
+    [{ recordMode: "live" }, /Unknown record mode "live"/],
+    [{ recordMode: "timed", recordDuration: 0 }, /recordDuration must be/],
+    [{ recordMode: "timed", scrollPositions: "0=1000" }, /must be a list/],
+    [
+      { recordMode: "timed", scrollPositions: [{ y: -1, dwell: 1000 }] },
+      /y of 0 or more/,
+    ],
+    [
+      { recordMode: "timed", scrollPositions: [{ y: 0, dwell: 0 }] },
+      /dwell above 0/,
+    ],
+    [{ recordMode: "timed", scrollPositions: [null] }, /dwell above 0/],
+  ];
+  for (const [options, message] of cases) {
+    assert.throws(() => getTimedPositions(options), message);
+  }
+});
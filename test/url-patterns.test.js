@@ -0,0 +1,26 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { compileUrlPattern } = require("../server");
+
+test("a glob wrapped in slashes matches the path, not a substring", () => {
+  const rule = compileUrlPattern("/admin/");
+  assert.ok(rule.test("/admin/"));
+  assert.ok(!rule.test("/x/admin/y"));
+  assert.ok(!rule.test("/admin/users"));
+});
+
+test("* stays within a segment and ** spans segments", () => {
+  assert.ok(compileUrlPattern("/blog/*").test("/blog/post"));
+  assert.ok(!compileUrlPattern("/blog/*").test("/blog/2024/post"));
+  assert.ok(compileUrlPattern("/blog/**").test("/blog/2024/post"));
+});
+
+test("re: patterns are regular expressions", () => {
+  const rule = compileUrlPattern("re:\\?page=\\d+");
+  assert.ok(rule.test("/list?page=2"));
+  assert.ok(!rule.test("/list?page=x"));
+});
+
+test("an invalid re: pattern throws", () => {
+  assert.throws(() => compileUrlPattern("re:("), /Invalid URL pattern re:\(/);
+});
@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  readScheduleRequest,
+  validateCrawlOptions,
+  validatePageVideoOptions,
+} = require("../server");
+
+test("accepts the defaults and a full set of valid crawl options", () => {
+  assert.doesNotThrow(() => validateCrawlOptions({}));
+  assert.doesNotThrow(() =>
+    validateCrawlOptions({
+      includePatterns: ["/blog/*", "re:^/docs/v\\d+/"],
+      excludePatterns: ["*.pdf"],
+      screenshotFormat: "webp",
+      screenshotQuality: 60,
+      hideSelectors: [".chat"],
+      elementSelectors: { hero: ".hero" },
+      dismissConsent: "reject",
+      recordVideos: true,
+      videoFormat: "mp4",
+      videoCrf: 23,
+      scrollEasing: "ease-in-out",
+      watermarkPosition: "top-left",
+      watermarkOpacity: 0,
+    })
+  );
+});
+
+test("rejects unusable crawl options", () => {
+  const cases = [
+    [{ includePatterns: "/blog/*" }, /includePatterns must be an array/],
+    [{ excludePatterns: ["re:("] }, /Invalid URL pattern re:\(/],
+    [{ screenshotFormat: "gif" }, /Unknown screenshot format "gif"/],
+    [{ screenshotQuality: 0 }, /Screenshot quality must be/],
+    [{ removeSelectors: ".ad" }, /removeSelectors must be an array/],
+    [{ elementSelectors: { hero: "" } }, /elementSelectors must map/],
+    [{ dismissConsent: "maybe" }, /Unknown dismissConsent "maybe"/],
+  ];
+  for (const [options, message] of cases) {
+    assert.throws(() => validateCrawlOptions(options), message);
+  }
+});
+
+test("only checks video options when recording videos", () => {
+  const options = { videoFormat: "avi", scrollEasing: "bounce" };
+  assert.doesNotThrow(() => validateCrawlOptions(options));
+  assert.throws(
+    () => validateCrawlOptions({ ...options, recordVideos: true }),
+    /Unknown scroll easing "bounce"/
+  );
+});
+
+test("rejects unusable page video options", () => {
+  const cases = [
+    [{ videoFormat: "avi" }, /Unknown video format "avi"/],
+    [{ videoCrf: 1.5 }, /videoCrf must be a whole number/],
+    [{ videoBitrate: "fast" }, /Invalid video bitrate "fast"/],
+    [{ videoScale: 2 }, /videoScale must be greater than 0/],
+    [{ scrollEasing: "bounce" }, /Unknown scroll easing "bounce"/],
+    [{ watermarkPosition: "middle" }, /Unknown watermark position/],
+    [{ watermarkOpacity: 1.5 }, /watermarkOpacity must be between/],
+    [{ recordMode: "live" }, /Unknown record mode "live"/],
+    [
+      { recordMode: "timed", scrollPositions: [{ y: 0 }] },
+      /Each scroll position needs/,
+    ],
+  ];
+  assert.doesNotThrow(() => validatePageVideoOptions({}));
+  for (const [options, message] of cases) {
+    assert.throws(() => validatePageVideoOptions(options), message);
+  }
+});
+
+test("schedules reject the options a crawl would fail on", () => {
+  const { error } = readScheduleRequest({
+    url: "https://example.com",
+    cron: "0 3 * * *",
+    options: { screenshotFormat: "gif" },
+  });
+  assert.match(error, /Unknown screenshot format "gif"/);
+});
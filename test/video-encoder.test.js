@@ -0,0 +1,39 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { getVideoEncoder } = require("../server");
+
+// These are all rejected before FFmpeg is asked what it can encode, so they
+// don't need FFmpeg installed
+test("rejects an unknown video format", async () => {
+  await assert.rejects(
+    getVideoEncoder({ videoFormat: "avi" }),
+    /Unknown video format "avi" \(use webm, mp4, gif, webp\)/
+  );
+});
+
+test("rejects a CRF that isn't a whole number of 0 or more", async () => {
+  for (const videoCrf of [-1, 1.5, "23"]) {
+    await assert.rejects(
+      getVideoEncoder({ videoFormat: "mp4", videoCrf }),
+      /videoCrf must be a whole number of 0 or more/
+    );
+  }
+});
+
+test("rejects a malformed bitrate", async () => {
+  for (const videoBitrate of ["fast", "2 M", "2G"]) {
+    await assert.rejects(
+      getVideoEncoder({ videoBitrate }),
+      /Invalid video bitrate/
+    );
+  }
+});
+
+test("rejects a scale outside (0, 1]", async () => {
+  for (const videoScale of [0, -0.5, 1.5, "half"]) {
+    await assert.rejects(
+      getVideoEncoder({ videoScale }),
+      /videoScale must be greater than 0 and at most 1/
+    );
+  }
+});
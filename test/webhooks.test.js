@@ -0,0 +1,164 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const { deliverWebhook, readWebhookRequest } = require("../server");
+
+const webhook = { id: "test-webhook", url: "https://hooks.example.com/in" };
+
+// Answer webhook POSTs with the given statuses in turn, an Error rejects
+function stubFetch(t, ...responses) {
+  const requests = [];
+  t.mock.method(global, "fetch", async (url, init) => {
+    requests.push({ url, ...init });
+    const next = responses[Math.min(requests.length, responses.length) - 1];
+    if (next instanceof Error) throw next;
+    return new Response(null, { status: next });
+  });
+  return requests;
+}
+
+// Silence the failure log, returning what was logged
+function captureErrors(t) {
+  const errors = [];
+  t.mock.method(console, "error", (message) => errors.push(message));
+  return errors;
+}
+
+test("signs the raw body with the secret", async (t) => {
+  const requests = stubFetch(t, 200);
+  const secret = "s3cret";
+
+  const delivery = await deliverWebhook(
+    { ...webhook, secret },
+    "session.completed",
+    "example-com_1",
+    { type: "crawl" }
+  );
+
+  assert.strictEqual(delivery.success, true);
+  assert.strictEqual(delivery.attempts, 1);
+  const [{ headers, body }] = requests;
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(body)
+    .digest("hex");
+  assert.strictEqual(headers["X-ScreenCrawl-Signature"], `sha256=${expected}`);
+  assert.strictEqual(headers["X-ScreenCrawl-Event"], "session.completed");
+  assert.strictEqual(
+    headers["X-ScreenCrawl-Delivery"],
+    JSON.parse(body).deliveryId
+  );
+  assert.deepStrictEqual(
+    { ...JSON.parse(body), deliveryId: null, timestamp: null },
+    {
+      event: "session.completed",
+      deliveryId: null,
+      sessionId: "example-com_1",
+      timestamp: null,
+      type: "crawl",
+    }
+  );
+});
+
+test("sends no signature without a secret", async (t) => {
+  const requests = stubFetch(t, 204);
+  const delivery = await deliverWebhook(
+    webhook,
+    "session.started",
+    "example-com_1",
+    {}
+  );
+  assert.strictEqual(delivery.success, true);
+  assert.strictEqual(requests[0].headers["X-ScreenCrawl-Signature"], undefined);
+});
+
+test("retries network errors, 5xx and 429", async (t) => {
+  captureErrors(t);
+  for (const failure of [new Error("ECONNRESET"), 503, 429]) {
+    const requests = stubFetch(t, failure, 200);
+    const delivery = await deliverWebhook(
+      webhook,
+      "session.failed",
+      "example-com_1",
+      {},
+      2
+    );
+    assert.strictEqual(delivery.success, true, `${failure}`);
+    assert.strictEqual(requests.length, 2, `${failure}`);
+    t.mock.restoreAll();
+  }
+});
+
+test("doesn't retry other 4xx responses", async (t) => {
+  const errors = captureErrors(t);
+  const requests = stubFetch(t, 404, 200);
+
+  const delivery = await deliverWebhook(
+    webhook,
+    "session.failed",
+    "example-com_1",
+    {},
+    5
+  );
+
+  assert.strictEqual(requests.length, 1);
+  assert.strictEqual(delivery.success, false);
+  assert.strictEqual(delivery.attempts, 1);
+  assert.strictEqual(delivery.error, "HTTP 404");
+  assert.match(errors[0], /failed for session.failed: HTTP 404/);
+});
+
+test("validates new webhooks", () => {
+  assert.deepStrictEqual(readWebhookRequest({}), {
+    error: "A valid http(s) url is required",
+  });
+  assert.deepStrictEqual(readWebhookRequest({ url: "ftp://example.com" }), {
+    error: "A valid http(s) url is required",
+  });
+  assert.match(
+    readWebhookRequest({ url: webhook.url, events: ["session.paused"] }).error,
+    /^events must be a list of: session.started/
+  );
+  assert.match(
+    readWebhookRequest({ url: webhook.url, events: [] }).error,
+    /^events must be a list of/
+  );
+  assert.deepStrictEqual(readWebhookRequest({ url: webhook.url, secret: 42 }), {
+    error: "secret must be a string",
+  });
+
+  assert.deepStrictEqual(readWebhookRequest({ url: webhook.url }), {
+    webhook: {
+      url: webhook.url,
+      secret: null,
+      events: [
+        "session.started",
+        "session.completed",
+        "session.failed",
+        "session.cancelled",
+      ],
+      enabled: true,
+    },
+  });
+});
+
+test("an update only changes the fields it sends", () => {
+  const existing = {
+    ...webhook,
+    secret: "old",
+    events: ["session.failed"],
+    enabled: true,
+  };
+
+  assert.deepStrictEqual(
+    readWebhookRequest({ enabled: false }, existing).webhook,
+    { ...existing, enabled: false }
+  );
+  assert.strictEqual(
+    readWebhookRequest({ secret: "" }, existing).webhook.secret,
+    null
+  );
+  assert.deepStrictEqual(readWebhookRequest({ url: "not a url" }, existing), {
+    error: "A valid http(s) url is required",
+  });
+});